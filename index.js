@@ -9,6 +9,10 @@ import {
     chat,
     getRequestHeaders,
     saveSettingsDebounced,
+    extension_prompt_types,
+    extension_prompt_roles,
+    substituteParams,
+    getMaxContextSize,
 } from '../../../../script.js';
 import {
     getContext,
@@ -18,14 +22,28 @@ import {
 } from '../../../extensions.js';
 import {
     POPUP_TYPE,
+    POPUP_RESULT,
     callGenericPopup,
 } from '../../../popup.js';
+import { download, escapeHtml, getStringHash } from '../../../utils.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import {
+    ARGUMENT_TYPE,
+    SlashCommandArgument,
+    SlashCommandNamedArgument,
+} from '../../../slash-commands/SlashCommandArgument.js';
 
 // =================================================================
 //                      PLUGIN CONSTANTS & CONFIG
 // =================================================================
 const pluginName = 'custom-prompt';
 const METADATA_KEY = 'custom_prompt_injector_data'; // Unique key for storing data in chat metadata
+// Every enabled block gets its own setExtensionPrompt key. The host joins prompts
+// sharing a position in key order, so the block index is part of the key.
+const INJECTION_KEY_PREFIX = 'custom_prompt_injector_';
+const MESSAGE_SNAPSHOT_KEY = 'custom_prompt'; // Key in message.extra for the prompt a reply was generated with
 
 // --- UI Constants ---
 const MODAL_ID = 'promptInjectorModal';
@@ -33,9 +51,142 @@ const MODAL_CLASS_NAME = 'prompt-injector-modal-dialog';
 const MODAL_HEADER_CLASS = 'prompt-injector-modal-header';
 const MODAL_TITLE_CLASS = 'prompt-injector-modal-title';
 const MODAL_CLOSE_X_CLASS = 'prompt-injector-modal-close-x';
+const MODAL_HEADER_ACTION_CLASS = 'prompt-injector-header-action';
 const MODAL_BODY_CLASS = 'prompt-injector-modal-body';
 const SIDEBAR_TOGGLE_CLASS = 'prompt-injector-sidebar-toggle';
 const SIDEBAR_TOGGLE_ID = 'prompt-injector-avatar-toggle';
+const MODAL_RESIZE_HANDLE_CLASS = 'prompt-injector-resize-handle';
+const MODAL_MIN_WIDTH = 480;
+const MODAL_MIN_HEIGHT = 360;
+// Below this width the dialog is full-screen and the chat list a drawer, see style.css
+const NARROW_LAYOUT_QUERY = '(max-width: 768px)';
+const STATUS_BADGE_ID = 'custom_prompt_status';
+const QUICK_EDIT_ID = 'custom_prompt_quick_edit';
+
+// --- Injection Defaults ---
+// Entries saved before injection settings existed only carry a `prompt` string,
+// so these defaults reproduce the behaviour those entries were written for.
+const DEFAULT_INJECTION_SETTINGS = Object.freeze({
+    position: extension_prompt_types.IN_CHAT,
+    depth: 9999,
+    role: extension_prompt_roles.SYSTEM,
+    scan: false,
+});
+const INJECTION_POSITION_OPTIONS = [
+    { value: extension_prompt_types.BEFORE_PROMPT, label: '主提示词之前' },
+    { value: extension_prompt_types.IN_CHAT, label: '聊天记录中 (@D)' },
+    { value: extension_prompt_types.IN_PROMPT, label: '主提示词之后' },
+];
+const INJECTION_ROLE_OPTIONS = [
+    { value: extension_prompt_roles.SYSTEM, label: '系统 (System)' },
+    { value: extension_prompt_roles.USER, label: '用户 (User)' },
+    { value: extension_prompt_roles.ASSISTANT, label: '助手 (Assistant)' },
+];
+
+// --- Prompt Scopes ---
+// A chat's effective prompt is stacked from the global default, the default of the
+// chat's character or group, and the chat's own entry, in that order.
+const SCOPE_LABELS = {
+    global: '全局',
+    character: '角色',
+    group: '群组',
+    chat: '聊天',
+};
+const INHERIT_MODE_OPTIONS = [
+    { value: 'append', label: '追加 (继承的提示词 + 本聊天提示词)' },
+    { value: 'override', label: '覆盖 (本聊天有内容时替换继承的提示词)' },
+    { value: 'off', label: '关闭继承 (仅使用本聊天提示词)' },
+];
+const EXPORT_FORMAT = 'custom-prompt-export';
+const EXPORT_VERSION = 1;
+const MAX_PROMPT_HISTORY = 30; // Revisions kept per prompt entry; the oldest are dropped first
+
+// --- Activation Rules ---
+// Every configured rule must pass for an entry to be injected; 0/empty turns a rule off.
+const DEFAULT_ACTIVATION_RULES = Object.freeze({
+    everyN: 0,          // Only when the next message index is a multiple of N
+    afterIndex: 0,      // Only once the next message index is greater than this
+    keywords: '',       // Comma or newline separated; any of them in the recent messages
+    regex: '',          // Pattern or /pattern/flags tested against the recent messages
+    scanDepth: 3,       // How many recent messages keywords and regex look at
+    members: [],        // Group chats: avatars of the members it fires for
+    probability: 100,   // Percent chance per generation
+});
+
+// --- Chat Scanning ---
+// The sidebar only needs each chat's metadata. What was learned about a chat is
+// remembered per character/group and shown until the chat file has been loaded again.
+const SCAN_INDEX_STORAGE_KEY = 'custom-prompt-scan-index';
+const SCAN_INDEX_MAX_OWNERS = 20;       // Characters/groups kept in the scan index, the least recently scanned are dropped
+const SCAN_CONCURRENCY = 3;
+
+// --- State Updates ---
+// Instruction of a state update. [[状态]] and [[消息]] are filled in, see buildStateUpdatePrompt.
+const DEFAULT_SUMMARY_INSTRUCTION = `请阅读下面的故事状态笔记和最近的聊天消息，更新笔记，使其反映故事的最新状态 (人物、地点、关系、进行中的事件等)。
+保留仍然有效的内容，删除已过时的内容。只输出更新后的笔记全文，不要添加任何解释。
+
+【现有笔记】
+[[状态]]
+
+【最近的消息】
+[[消息]]`;
+const SUMMARY_STATE_PLACEHOLDER = '[[状态]]';
+const SUMMARY_MESSAGES_PLACEHOLDER = '[[消息]]';
+const SUMMARY_PLACEHOLDER_REGEX = /\[\[(?:状态|消息)\]\]/g; // Either placeholder above
+const SUMMARY_METADATA_KEY = 'custom_prompt_injector_summary'; // { messageCount } of the chat at its last state update
+
+const DEFAULT_SETTINGS = Object.freeze({
+    global: null,       // Prompt entry applied to every chat
+    characters: {},     // Prompt entries keyed by character avatar
+    groups: {},         // Prompt entries keyed by group id
+    tokenWarningThreshold: 1000, // The editor warns once an entry injects more tokens than this (0 = never)
+    templates: [],      // Template library: { id, name, tags: string[], content } with [[placeholder]] fields
+    autosave: false,    // Save edits of the open chat's prompt automatically, without a revision
+    carryOverPolicy: 'copy',  // Prompt of a new chat, branch or checkpoint, see CARRY_OVER_POLICY_OPTIONS
+    carryOverConfirm: false,  // Ask before applying carryOverPolicy
+    shortcut: '',       // Opens the active chat's editor, see formatShortcut ('' = none)
+    summaryAuto: false,         // Propose a state update every summaryInterval messages
+    summaryInterval: 30,
+    summaryMessageCount: 20,    // Recent messages sent along with the state block
+    summaryBlockName: '故事状态', // Block of the chat's prompt the model rewrites
+    summaryInstruction: DEFAULT_SUMMARY_INSTRUCTION,
+    modalGeometry: null,        // { left, top, width, height } of the dialog in px, null = centered at the default size
+    theme: 'inherit',           // Colors of the modal, see THEME_OPTIONS
+});
+
+// --- Theme ---
+// 'inherit' keeps the look the modal had before it had its own setting: the theme
+// saved by the 'star' plugin, light without it. 'auto' follows the colors of
+// SillyTavern's current UI theme (the .host-theme styles).
+const THEME_OPTIONS = [
+    { value: 'inherit', label: '默认', icon: 'fa-palette' },
+    { value: 'light', label: '浅色', icon: 'fa-sun' },
+    { value: 'dark', label: '深色', icon: 'fa-moon' },
+    { value: 'auto', label: '跟随 SillyTavern', icon: 'fa-circle-half-stroke' },
+];
+const AUTOSAVE_DELAY_MS = 1000;
+
+// --- Carry-over ---
+// What a chat created from another chat starts with. 'kept' is recorded when the user declined.
+const CARRY_OVER_POLICY_OPTIONS = [
+    { value: 'copy', label: '复制父聊天的提示词' },
+    { value: 'owner', label: '使用角色/群组默认提示词' },
+    { value: 'empty', label: '从空白开始 (不注入任何提示词)' },
+];
+const CARRY_OVER_RESULT_LABELS = {
+    copy: '复制了父聊天的提示词',
+    owner: '使用角色/群组默认提示词',
+    empty: '从空白开始',
+    kept: '保留了聊天已有的提示词',
+};
+const CHAT_ORIGIN_LABELS = { new: '新建聊天', branch: '分支', checkpoint: '检查点' };
+// The host names branches "<chat> - Branch #<n>"; checkpoints may be named freely
+const BRANCH_NAME_REGEX = / - Branch #\d+$/;
+
+// Fill-in fields of a template, e.g. [[地点]]
+const TEMPLATE_PLACEHOLDER_REGEX = /\[\[([^\[\]]+?)\]\]/g;
+// ST macros such as {{char}} or {{getvar::name}}, highlighted in the editor
+const MACRO_HIGHLIGHT_REGEX = /\{\{[^{}]*\}\}/g;
 
 // =================================================================
 //                      PLUGIN STATE & REFERENCES
@@ -46,23 +197,265 @@ let modalTitleElement = null;
 let modalBodyElement = null;
 
 let currentViewingChatFile = null;      // Tracks which chat's prompt is being viewed/edited
+let currentViewingOwnerKey = null;      // Character/group the viewed chat belongs to, see getOwnerKey
+let currentViewingScope = 'chat';       // 'chat', 'global' or 'owner' (the character/group default)
 let allChatsPromptData = [];            // Cache for all chats and their prompt data
 let chatListScrollTop = 0;
 let isLoadingOtherChats = false;
+let scanAbortController = null;         // Cancels the background chat scan when the modal closes
+let currentScanPromise = null;          // Resolves when the background chat scan has finished
+
+let editorDraft = null;                 // Working copy of the entry shown in the editor
+let selectedBlockIndex = 0;             // Block whose text is currently in the textarea
+let injectedPromptKeys = new Set();     // setExtensionPrompt keys filled by the last apply
+let injectedPromptBlocks = [];          // { scope, name, text, revision } of each block the last apply injected
+let generationSnapshot = null;          // Snapshot of the injection for the reply being generated
+let isGenerationRunning = false;        // A real (non dry-run) generation has started and not ended yet
+let pendingStateUpdate = null;          // { chatId, blockName, oldText, newText } proposed by the model, awaiting approval
+let isUpdatingState = false;            // A state update is being generated
+let draftedMemberAvatar = null;         // Group member about to speak, reported by the host
+let lastSeenChat = null;                // { chatId, ownerKey, metadata } of the open chat
+let previousChat = null;                // The same for the chat open before it
+let carryOverChatId = null;             // Chat whose carry-over is being applied
+let pendingImport = null;               // Parsed import file waiting for the mapping step
+let showAllChats = false;               // Sidebar also lists chats without a prompt
+let selectedChatFiles = new Set();      // Chats checked in the sidebar for bulk actions
+let bulkProgress = null;                // { label, done, total } while a bulk action runs
+let sidebarMode = 'owner';              // 'owner' lists the current character/group, 'global' browses every one
+let globalChatsPromptData = [];         // Chats of all other characters and groups, loaded for the global browser
+let globalScanProgress = null;          // { done, total } owners while the global browser loads
+let globalSearchQuery = '';             // Full-text filter over prompt contents in the global browser
+let editorBaselineFingerprint = null;   // Entry in the editor as loaded or last saved, see getEntryFingerprint
+let autosaveTimer = null;
+let isConfirmingLeave = false;          // The unsaved-changes prompt is open
+let selectedTemplateId = null;          // Template open in the template panel
+let templateFilter = '';                // Name/tag filter of the template panel
+let tokenCountTimer = null;             // Debounces the editor's live token count
+let findMatchIndex = -1;                // Current match of the editor's find bar, -1 before the first jump
+let codeEditorResizeObserver = null;    // Re-measures the line numbers when the editor is resized
 
 // =================================================================
 //                      THEME MANAGEMENT
 // =================================================================
 /**
- * Applies the saved theme from localStorage when the modal opens.
+ * Applies the theme setting to the modal and its header switch.
+ */
+function applyTheme() {
+    if (!modalDialogElement) return;
+    const option = THEME_OPTIONS.find(o => o.value === getPluginSettings().theme) || THEME_OPTIONS[0];
+    const isInheritedDark = option.value === 'inherit' && localStorage.getItem('favorites-theme') === 'dark';
+    modalDialogElement.classList.toggle('dark-theme', option.value === 'dark' || isInheritedDark);
+    modalDialogElement.classList.toggle('host-theme', option.value === 'auto');
+
+    const themeSwitch = modalDialogElement.querySelector(`.${MODAL_HEADER_ACTION_CLASS}[data-action="theme"]`);
+    if (themeSwitch) {
+        themeSwitch.title = `主题: ${option.label} (点击切换)`;
+        themeSwitch.querySelector('i').className = `fa-solid ${option.icon}`;
+    }
+}
+
+/**
+ * Switches to the next theme of THEME_OPTIONS.
+ */
+function cycleTheme() {
+    const settings = getPluginSettings();
+    const index = THEME_OPTIONS.findIndex(option => option.value === settings.theme);
+    settings.theme = THEME_OPTIONS[(index + 1) % THEME_OPTIONS.length].value;
+    saveSettingsDebounced();
+    applyTheme();
+}
+
+// =================================================================
+//                      SETTINGS & SCOPES
+// =================================================================
+
+/**
+ * Returns the plugin's settings object, creating missing keys with their defaults.
+ */
+function getPluginSettings() {
+    if (!extension_settings[pluginName]) {
+        extension_settings[pluginName] = {};
+    }
+    const settings = extension_settings[pluginName];
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+        if (settings[key] === undefined) {
+            settings[key] = structuredClone(value);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Resolves the character or group that owns the active chat.
+ * @returns {{type: 'character'|'group', id: string, name: string}|null}
+ */
+function getCurrentOwner(context = getContext()) {
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        return { type: 'group', id: context.groupId, name: group?.name || '未命名群聊' };
+    }
+    const character = context.characters?.[context.characterId];
+    if (context.characterId !== undefined && character) {
+        return { type: 'character', id: character.avatar, name: character.name };
+    }
+    return null;
+}
+
+function getCurrentOwnerKey(context = getContext()) {
+    const owner = getCurrentOwner(context);
+    return owner ? getOwnerKey(owner) : '';
+}
+
+/**
+ * Resolves the index of a character chat's character in context.characters.
+ * Indexes shift when characters are added or removed, so it is looked up by avatar.
+ * @returns {number|undefined}
+ */
+function getChatCharacterId(chatData) {
+    if (chatData.isGroup || !chatData.avatar) return chatData.characterId;
+    const index = getContext().characters.findIndex(character => character.avatar === chatData.avatar);
+    return index === -1 ? undefined : index;
+}
+
+/**
+ * Finds a loaded chat by file name and owner, in the current owner's chats or
+ * in the ones the global browser loaded.
+ * @param {string} chatFile Chat file name without extension.
+ * @param {string} [ownerKey] Defaults to the character/group of the open chat.
+ */
+function findCachedChat(chatFile, ownerKey = getCurrentOwnerKey()) {
+    return allChatsPromptData.find(chatData => chatData.fileName === chatFile && chatData.ownerKey === ownerKey)
+        || globalChatsPromptData.find(chatData => chatData.fileName === chatFile && chatData.ownerKey === ownerKey);
+}
+
+/**
+ * Reads the raw prompt entry stored for a non-chat scope.
+ * @param {'global'|'owner'} scope
+ * @param {{type: string, id: string}|null} owner Required for the 'owner' scope.
+ */
+function getScopeEntry(scope, owner) {
+    const settings = getPluginSettings();
+    if (scope === 'global') return settings.global;
+    if (!owner) return null;
+    return (owner.type === 'group' ? settings.groups : settings.characters)[owner.id] || null;
+}
+
+function setScopeEntry(scope, owner, entry) {
+    const settings = getPluginSettings();
+    if (scope === 'global') {
+        settings.global = entry;
+    } else if (owner) {
+        (owner.type === 'group' ? settings.groups : settings.characters)[owner.id] = entry;
+    }
+    saveSettingsDebounced();
+}
+
+function getInheritMode(rawEntry) {
+    return INHERIT_MODE_OPTIONS.some(option => option.value === rawEntry?.inherit) ? rawEntry.inherit : 'append';
+}
+
+/**
+ * Builds the ordered list of prompt layers that apply to the active chat.
+ * Each layer carries the scope it comes from so the UI can label it.
+ * @returns {{scope: string, entry: ReturnType<typeof normalizePromptEntry>}[]}
+ */
+function resolveEffectivePromptStack(context = getContext()) {
+    const owner = getCurrentOwner(context);
+    const chatEntry = normalizePromptEntry(context.chatMetadata?.[METADATA_KEY]);
+    const chatLayer = { scope: 'chat', entry: chatEntry };
+
+    const inheritedLayers = [
+        { scope: 'global', entry: normalizePromptEntry(getScopeEntry('global')) },
+    ];
+    if (owner) {
+        inheritedLayers.push({ scope: owner.type, entry: normalizePromptEntry(getScopeEntry('owner', owner)) });
+    }
+
+    // A chat that switched its prompt off gets no injection at all, inherited or not
+    if (!chatEntry.enabled) {
+        return [];
+    }
+
+    const inheritMode = chatEntry.inherit;
+    const chatHasContent = chatEntry.blocks.some(block => block.enabled && block.content.trim() !== '');
+    if (inheritMode === 'off' || (inheritMode === 'override' && chatHasContent)) {
+        return [chatLayer];
+    }
+    return [...inheritedLayers, chatLayer];
+}
+
+// =================================================================
+//                      ACTIVATION RULES
+// =================================================================
+
+function normalizeActivationRules(rawRules) {
+    const rules = { ...DEFAULT_ACTIVATION_RULES, members: [] };
+    if (!rawRules || typeof rawRules !== 'object') return rules;
+
+    const toCount = (value) => Math.max(0, Math.floor(Number(value) || 0));
+    rules.everyN = toCount(rawRules.everyN);
+    rules.afterIndex = toCount(rawRules.afterIndex);
+    rules.keywords = String(rawRules.keywords || '');
+    rules.regex = String(rawRules.regex || '');
+    rules.scanDepth = Math.max(1, toCount(rawRules.scanDepth) || DEFAULT_ACTIVATION_RULES.scanDepth);
+    rules.members = Array.isArray(rawRules.members) ? rawRules.members.map(String) : [];
+    const probability = Number(rawRules.probability);
+    rules.probability = Number.isFinite(probability) ? Math.min(100, Math.max(0, probability)) : 100;
+    return rules;
+}
+
+function parseRulePattern(pattern) {
+    const match = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+    return match ? new RegExp(match[1], match[2]) : new RegExp(pattern, 'i');
+}
+
+/**
+ * Decides whether an entry with these rules fires on the next generation.
+ * @param {typeof DEFAULT_ACTIVATION_RULES} rules
+ * @param {{chat: object[], isGroup: boolean, memberAvatar?: string|null, rollProbability?: boolean}} state
+ *        `memberAvatar` is unknown (undefined) outside a generation; without
+ *        `rollProbability` the probability rule is reported but not rolled.
+ * @returns {{fires: boolean, reason: string, chance: number, dependsOnMember: boolean}}
  */
-function applySavedTheme() {
-    // This plugin will respect the theme set by the main 'star' plugin if present.
-    const savedTheme = localStorage.getItem('favorites-theme');
-    const isDark = savedTheme === 'dark';
-    if (modalDialogElement) {
-        modalDialogElement.classList.toggle('dark-theme', isDark);
+function evaluateActivationRules(rules, { chat: messages, isGroup, memberAvatar = undefined, rollProbability = false }) {
+    const nextIndex = messages.length;
+    const result = (fires, reason = '') => ({ fires, reason, chance: rules.probability, dependsOnMember: false });
+
+    if (rules.everyN > 0 && nextIndex % rules.everyN !== 0) {
+        return result(false, `每 ${rules.everyN} 条消息触发一次 (下一条消息序号为 ${nextIndex})`);
+    }
+    if (rules.afterIndex > 0 && nextIndex <= rules.afterIndex) {
+        return result(false, `消息序号超过 ${rules.afterIndex} 后才触发 (下一条消息序号为 ${nextIndex})`);
+    }
+
+    const recentText = messages.slice(-rules.scanDepth).map(message => message?.mes || '').join('\n');
+    const keywords = rules.keywords.split(/[,，\n]/).map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+    if (keywords.length > 0 && !keywords.some(keyword => recentText.toLowerCase().includes(keyword))) {
+        return result(false, `最近 ${rules.scanDepth} 条消息中没有出现关键词`);
+    }
+    if (rules.regex.trim()) {
+        try {
+            if (!parseRulePattern(rules.regex.trim()).test(recentText)) {
+                return result(false, `最近 ${rules.scanDepth} 条消息不匹配正则表达式`);
+            }
+        } catch {
+            return result(false, '正则表达式无效');
+        }
+    }
+
+    if (isGroup && rules.members.length > 0) {
+        if (memberAvatar === undefined) {
+            return { ...result(true), dependsOnMember: true };
+        }
+        if (!rules.members.includes(memberAvatar)) {
+            return result(false, '发言的群组成员不在列表中');
+        }
+    }
+
+    if (rollProbability && rules.probability < 100 && Math.random() * 100 >= rules.probability) {
+        return result(false, `概率判定未通过 (${rules.probability}%)`);
     }
+    return result(true);
 }
 
 // =================================================================
@@ -70,48 +463,492 @@ function applySavedTheme() {
 // =================================================================
 
 /**
- * The core engine of the plugin. It reads the current chat's metadata
- * and injects the custom prompt, or clears it if none is found.
- * This MUST be called on every chat change.
+ * Reads the injection settings stored alongside a chat's prompt, falling back to
+ * the defaults for any value that is missing or invalid.
+ * @param {object|undefined} promptData The chat's METADATA_KEY entry.
+ * @returns {{position: number, depth: number, role: number, scan: boolean}}
+ */
+function getInjectionSettings(promptData) {
+    const settings = { ...DEFAULT_INJECTION_SETTINGS };
+    if (!promptData) return settings;
+
+    if (INJECTION_POSITION_OPTIONS.some(option => option.value === promptData.position)) {
+        settings.position = promptData.position;
+    }
+    const depth = Number(promptData.depth);
+    if (Number.isInteger(depth) && depth >= 0) {
+        settings.depth = depth;
+    }
+    if (INJECTION_ROLE_OPTIONS.some(option => option.value === promptData.role)) {
+        settings.role = promptData.role;
+    }
+    if (typeof promptData.scan === 'boolean') {
+        settings.scan = promptData.scan;
+    }
+    return settings;
+}
+
+function createBlockId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function createPromptBlock(name = '新区块', content = '') {
+    return { id: createBlockId(), name, content, enabled: true };
+}
+
+/**
+ * Returns a normalized copy of a stored prompt entry. Entries written before
+ * blocks existed hold a single `prompt` string, which becomes one block.
+ * @param {object|undefined} rawEntry The METADATA_KEY value from chat metadata.
+ * @returns {{blocks: {id: string, name: string, content: string, enabled: boolean}[], position: number, depth: number, role: number, scan: boolean, inherit: string, enabled: boolean, rules: typeof DEFAULT_ACTIVATION_RULES, origin: ReturnType<typeof normalizePromptOrigin>, history: {timestamp: number, text: string, blocks: object[]}[]}}
+ */
+function normalizePromptEntry(rawEntry) {
+    let blocks = [];
+    if (Array.isArray(rawEntry?.blocks)) {
+        blocks = rawEntry.blocks
+            .filter(block => block && typeof block === 'object')
+            .map(block => ({
+                id: String(block.id || createBlockId()),
+                name: String(block.name || ''),
+                content: String(block.content || ''),
+                enabled: block.enabled !== false,
+            }));
+    } else if (typeof rawEntry?.prompt === 'string' && rawEntry.prompt !== '') {
+        blocks = [{ id: 'main', name: '默认', content: rawEntry.prompt, enabled: true }];
+    }
+    const history = Array.isArray(rawEntry?.history)
+        ? rawEntry.history
+            .filter(revision => revision && typeof revision.text === 'string' && Array.isArray(revision.blocks))
+            .map(revision => ({ timestamp: Number(revision.timestamp) || 0, text: revision.text, blocks: structuredClone(revision.blocks) }))
+        : [];
+    return {
+        blocks,
+        ...getInjectionSettings(rawEntry),
+        inherit: getInheritMode(rawEntry),
+        enabled: rawEntry?.enabled !== false,
+        rules: normalizeActivationRules(rawEntry?.rules),
+        origin: normalizePromptOrigin(rawEntry?.origin),
+        history,
+    };
+}
+
+/**
+ * Where a chat's prompt came from when the chat was created, see applyCarryOver.
+ * @returns {{type: string, chatId: string|null, parent: string|null, policy: string, timestamp: number}|null}
+ */
+function normalizePromptOrigin(rawOrigin) {
+    if (!rawOrigin || typeof rawOrigin !== 'object' || !CHAT_ORIGIN_LABELS[rawOrigin.type]) return null;
+    return {
+        type: rawOrigin.type,
+        // The host copies a chat's metadata into its branches, origin included
+        chatId: rawOrigin.chatId ? String(rawOrigin.chatId) : null,
+        parent: rawOrigin.parent ? String(rawOrigin.parent) : null,
+        policy: CARRY_OVER_RESULT_LABELS[rawOrigin.policy] ? rawOrigin.policy : 'kept',
+        timestamp: Number(rawOrigin.timestamp) || 0,
+    };
+}
+
+/**
+ * Joins the blocks into one text, used for revision diffs.
+ * @param {{name: string, content: string, enabled: boolean}[]} blocks
+ */
+function flattenPromptBlocks(blocks) {
+    return blocks
+        .map(block => `### ${block.name || '(未命名)'}${block.enabled ? '' : ' (停用)'}\n${block.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Appends the entry's current blocks to its revision history, unless they are
+ * identical to the latest revision, and trims the history to MAX_PROMPT_HISTORY.
+ * @param {ReturnType<typeof normalizePromptEntry>} entry
+ */
+function appendRevision(entry) {
+    const text = flattenPromptBlocks(entry.blocks);
+    if (entry.history.at(-1)?.text === text) return;
+    entry.history.push({ timestamp: Date.now(), text, blocks: structuredClone(entry.blocks) });
+    if (entry.history.length > MAX_PROMPT_HISTORY) {
+        entry.history.splice(0, entry.history.length - MAX_PROMPT_HISTORY);
+    }
+}
+
+/**
+ * Line-based diff using the longest common subsequence of both texts.
+ * @returns {{type: 'same'|'add'|'remove', line: string}[]}
  */
-function applyOrClearCustomPrompt() {
+function computeLineDiff(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+    const rows = oldLines.length + 1;
+    const cols = newLines.length + 1;
+    const lcs = Array.from({ length: rows }, () => new Uint16Array(cols));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0, j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            diff.push({ type: 'same', line: oldLines[i] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ type: 'remove', line: oldLines[i++] });
+        } else {
+            diff.push({ type: 'add', line: newLines[j++] });
+        }
+    }
+    while (i < oldLines.length) diff.push({ type: 'remove', line: oldLines[i++] });
+    while (j < newLines.length) diff.push({ type: 'add', line: newLines[j++] });
+    return diff;
+}
+
+/**
+ * Renders the result of computeLineDiff into a .prompt-diff element, one line per row.
+ */
+function appendLineDiff(diffElement, diff) {
+    for (const part of diff) {
+        const line = document.createElement('div');
+        line.className = `prompt-diff-${part.type}`;
+        line.textContent = `${part.type === 'add' ? '+' : part.type === 'remove' ? '-' : ' '} ${part.line}`;
+        diffElement.appendChild(line);
+    }
+}
+
+/**
+ * The name, content and state of a stored entry's blocks, read without
+ * normalizing the rest of the entry. The sidebar runs this over every chat,
+ * so the revision history is never copied here.
+ * @returns {{name: string, content: string, enabled: boolean}[]}
+ */
+function getRawPromptBlocks(rawEntry) {
+    if (Array.isArray(rawEntry?.blocks)) {
+        return rawEntry.blocks
+            .filter(block => block && typeof block === 'object')
+            .map(block => ({ name: String(block.name || ''), content: String(block.content || ''), enabled: block.enabled !== false }));
+    }
+    if (typeof rawEntry?.prompt === 'string' && rawEntry.prompt !== '') {
+        return [{ name: '默认', content: rawEntry.prompt, enabled: true }];
+    }
+    return [];
+}
+
+function hasPromptContent(rawEntry) {
+    return getRawPromptBlocks(rawEntry).some(block => block.content.trim() !== '');
+}
+
+/**
+ * The core engine of the plugin. It resolves the prompt stack of the current
+ * chat (global, character/group and chat scopes) and injects every enabled
+ * block, clearing the keys of blocks that were injected before but are now
+ * disabled, removed or belong to another chat.
+ * Macros, variables and activation rules are evaluated here, so this MUST be
+ * called on every chat change and again before every generation to keep the
+ * injected text current.
+ * @param {{isGeneration?: boolean}} [options] Set right before a real (non dry-run)
+ *        generation, when the probability rule is rolled and the speaking group member is known.
+ */
+function applyOrClearCustomPrompt({ isGeneration = false } = {}) {
     try {
         const context = getContext();
         if (!context || !context.chatMetadata) return;
 
-        const promptData = context.chatMetadata[METADATA_KEY];
-        const promptValue = promptData?.prompt || '';
+        const ruleState = {
+            chat: context.chat || chat,
+            isGroup: !!context.groupId,
+            memberAvatar: isGeneration ? draftedMemberAvatar : undefined,
+            rollProbability: isGeneration,
+        };
+        const nextInjectedKeys = new Set();
+        const nextInjectedBlocks = [];
+        resolveEffectivePromptStack(context).forEach(({ scope, entry }, layerIndex) => {
+            if (!evaluateActivationRules(entry.rules, ruleState).fires) return;
+            const { position, depth, role, scan } = entry;
+            // The saved revision this layer's text matches, if any
+            const latestRevision = entry.history.at(-1);
+            const revision = latestRevision?.text === flattenPromptBlocks(entry.blocks) ? latestRevision.timestamp : null;
+            entry.blocks.forEach((block, blockIndex) => {
+                if (!block.enabled || block.content.trim() === '') return;
+                const injectionKey = `${INJECTION_KEY_PREFIX}${layerIndex}${String(blockIndex).padStart(3, '0')}_${scope}_${block.id}`;
+                const text = substituteParams(block.content);
+                context.setExtensionPrompt(injectionKey, text, position, depth, scan, role);
+                nextInjectedKeys.add(injectionKey);
+                nextInjectedBlocks.push({ scope, name: block.name || '(未命名)', text, revision });
+            });
+        });
 
-        // The key for setExtensionPrompt must be unique and consistent for our plugin.
-        const injectionKey = 'custom_prompt_injector_main';
+        // CRITICAL: Keys from a previously viewed chat (or from blocks that are gone now)
+        // must be cleared by sending an empty string.
+        for (const staleKey of injectedPromptKeys) {
+            if (!nextInjectedKeys.has(staleKey)) {
+                context.setExtensionPrompt(staleKey, '', DEFAULT_INJECTION_SETTINGS.position, DEFAULT_INJECTION_SETTINGS.depth);
+            }
+        }
+        injectedPromptKeys = nextInjectedKeys;
+        injectedPromptBlocks = nextInjectedBlocks;
 
-        if (promptValue.trim() !== '') {
-            context.setExtensionPrompt(
-                injectionKey,
-                promptValue,
-                context.eventTypes.IN_CHAT,   // Position: In the chat history
-                9999,                         // Depth: Very early in the history
-                false,                        // Scan: No need for WI scan
-                context.eventTypes.SYSTEM     // Role: System message
-            );
-            console.log(`[${pluginName}] Injected prompt for chat: ${context.chatId}`);
-        } else {
-            // CRITICAL: If there's no prompt, we must clear any existing injection
-            // from a previously viewed chat by sending an empty string.
-            context.setExtensionPrompt(
-                injectionKey,
-                '', // Empty value clears the injection
-                context.eventTypes.IN_CHAT,
-                9999,
-                false,
-                context.eventTypes.SYSTEM
-            );
+        if (nextInjectedKeys.size > 0) {
+            console.log(`[${pluginName}] Injected ${nextInjectedKeys.size} prompt block(s) for chat: ${context.chatId}`);
         }
+        updatePromptStatusBadge();
     } catch (error) {
         console.error(`[${pluginName}] Error applying custom prompt:`, error);
     }
 }
 
+/**
+ * Re-applies the prompt right before each generation so macros, variables and
+ * activation rules use the current state.
+ */
+function handleGenerationStarted(type, options, dryRun) {
+    isGenerationRunning = !dryRun;
+    applyOrClearCustomPrompt({ isGeneration: !dryRun });
+    if (!dryRun) generationSnapshot = createPromptSnapshot();
+}
+
+/**
+ * The host adds the message the user typed only after GENERATION_STARTED, so the
+ * prompt is applied again once it is in the chat: keyword and regex rules have to
+ * see it, and it shifts the index of the reply.
+ */
+function handleMessageSent() {
+    if (!isGenerationRunning) return;
+    applyOrClearCustomPrompt({ isGeneration: true });
+    generationSnapshot = createPromptSnapshot();
+}
+
+// =================================================================
+//                      TOKEN BUDGET
+// =================================================================
+
+const TOKEN_COUNT_CACHE_SIZE = 5000;    // Counts kept, the least recently used are dropped
+const tokenCountCache = new Map();      // Hash of a text -> its token count with the active tokenizer
+const pendingTokenCounts = new Set();   // Texts being counted for the sidebar
+
+/**
+ * Returns the texts an entry injects, one per enabled non-empty block.
+ * @param {{blocks: {content: string, enabled: boolean}[]}} entry
+ */
+function getInjectedBlockTexts(entry) {
+    return entry.blocks.filter(block => block.enabled && block.content.trim() !== '').map(block => block.content);
+}
+
+/**
+ * The cached token count of a text, or undefined. Every edit and macro result is
+ * a new text, so the cache is keyed by hash and only keeps the recently used counts.
+ */
+function getCachedTokenCount(text) {
+    const key = getStringHash(text);
+    const count = tokenCountCache.get(key);
+    if (count !== undefined) {
+        tokenCountCache.delete(key);
+        tokenCountCache.set(key, count);
+    }
+    return count;
+}
+
+async function countTokensCached(text) {
+    if (!text) return 0;
+    const cachedCount = getCachedTokenCount(text);
+    if (cachedCount !== undefined) return cachedCount;
+    const count = await getTokenCountAsync(text);
+    tokenCountCache.set(getStringHash(text), count);
+    if (tokenCountCache.size > TOKEN_COUNT_CACHE_SIZE) {
+        tokenCountCache.delete(tokenCountCache.keys().next().value);
+    }
+    return count;
+}
+
+/**
+ * Token count of an entry as the sidebar shows it: the stored text, without expanding macros.
+ * @returns {number|null} null while the count is not known yet.
+ */
+function getCachedEntryTokens(rawEntry) {
+    const counts = getInjectedBlockTexts({ blocks: getRawPromptBlocks(rawEntry) }).map(text => [text, getCachedTokenCount(text)]);
+    if (counts.some(([, count]) => count === undefined)) {
+        queueSidebarTokenCounts(counts.filter(([, count]) => count === undefined).map(([text]) => text));
+        return null;
+    }
+    return counts.reduce((sum, [, count]) => sum + count, 0);
+}
+
+async function queueSidebarTokenCounts(texts) {
+    const missing = texts.filter(text => getCachedTokenCount(text) === undefined && !pendingTokenCounts.has(text));
+    if (missing.length === 0) return;
+    missing.forEach(text => pendingTokenCounts.add(text));
+    try {
+        for (const text of missing) {
+            await countTokensCached(text);
+        }
+        scheduleChatListRender();
+    } catch (error) {
+        console.error(`[${pluginName}] Error counting prompt tokens:`, error);
+    } finally {
+        missing.forEach(text => pendingTokenCounts.delete(text));
+    }
+}
+
+function renderTokenBadgeHtml(rawEntry) {
+    const tokens = getCachedEntryTokens(rawEntry);
+    if (!tokens) return '';
+    const threshold = getPluginSettings().tokenWarningThreshold;
+    const isOver = threshold > 0 && tokens > threshold;
+    return `<span class="chat-list-item-tokens ${isOver ? 'warning' : ''}" title="注入的 token 数 (未展开宏)">${tokens}t</span>`;
+}
+
+function scheduleEditorTokenCount(mainPanel) {
+    clearTimeout(tokenCountTimer);
+    tokenCountTimer = setTimeout(() => updateEditorTokenCount(mainPanel), 300);
+}
+
+/**
+ * Shows the token count of the selected block and of the whole entry, with
+ * macros expanded against the open chat, and warns past the configured threshold.
+ */
+async function updateEditorTokenCount(mainPanel) {
+    const infoElement = mainPanel.querySelector('.prompt-token-info');
+    if (!infoElement || !editorDraft) return;
+
+    const draft = editorDraft;
+    const selectedBlock = draft.blocks[selectedBlockIndex];
+    try {
+        const blockTokens = await countTokensCached(substituteParams(selectedBlock?.content || ''));
+        let totalTokens = 0;
+        for (const text of getInjectedBlockTexts(draft)) {
+            totalTokens += await countTokensCached(substituteParams(text));
+        }
+        // The user may have switched to another entry while counting
+        if (draft !== editorDraft || !infoElement.isConnected) return;
+
+        const contextSize = getMaxContextSize();
+        const share = contextSize > 0 ? ` (占上下文 ${(totalTokens / contextSize * 100).toFixed(1)}% / ${contextSize})` : '';
+        const threshold = getPluginSettings().tokenWarningThreshold;
+        const isOver = threshold > 0 && totalTokens > threshold;
+
+        infoElement.textContent = `本区块 ${blockTokens} tokens · 注入合计 ${totalTokens} tokens${share}`
+            + (isOver ? ` — 超过警告阈值 ${threshold} tokens，可能挤占聊天记录` : '');
+        infoElement.classList.toggle('warning', isOver);
+    } catch (error) {
+        console.error(`[${pluginName}] Error counting prompt tokens:`, error);
+        infoElement.textContent = '无法计算 token 数';
+    }
+}
+
+function renderSettingsPanel(mainPanel) {
+    const settingsPanel = openSubPanel(mainPanel, 'prompt-settings-panel', () => {});
+    const settings = getPluginSettings();
+
+    settingsPanel.innerHTML = `
+        <div class="prompt-sub-panel-header">
+            <button class="menu_button prompt-sub-panel-back"><i class="fa-solid fa-arrow-left"></i> 返回编辑</button>
+            <span>插件设置</span>
+        </div>
+        <div class="prompt-settings-list">
+            <label>Token 警告阈值 (一个提示词注入的 token 超过此值时警告，0 为不警告)
+                <input id="custom-prompt-token-threshold" class="text_pole" type="number" min="0" step="50" value="${settings.tokenWarningThreshold}">
+            </label>
+            <label class="checkbox_label">
+                <input id="custom-prompt-autosave" type="checkbox" ${settings.autosave ? 'checked' : ''}>
+                <span>自动保存当前打开聊天的提示词 (停止输入 ${AUTOSAVE_DELAY_MS / 1000} 秒后保存，不记录历史版本)</span>
+            </label>
+            <label>新建聊天、分支或检查点时的提示词
+                <select id="custom-prompt-carry-over" class="text_pole">
+                    ${CARRY_OVER_POLICY_OPTIONS.map(option => `<option value="${option.value}" ${option.value === settings.carryOverPolicy ? 'selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="checkbox_label">
+                <input id="custom-prompt-carry-over-confirm" type="checkbox" ${settings.carryOverConfirm ? 'checked' : ''}>
+                <span>应用前询问</span>
+            </label>
+            <label>打开当前聊天编辑器的快捷键 (在框中按下组合键，Backspace 清除)
+                <input id="custom-prompt-shortcut" class="text_pole" type="text" readonly placeholder="未设置" value="${escapeHtml(settings.shortcut)}">
+            </label>
+            <label class="checkbox_label">
+                <input id="custom-prompt-summary-auto" type="checkbox" ${settings.summaryAuto ? 'checked' : ''}>
+                <span>每隔一定数量的消息，让模型根据聊天更新状态区块 (建议需审核后才会保存)</span>
+            </label>
+            <label>更新间隔 (消息数)
+                <input id="custom-prompt-summary-interval" class="text_pole" type="number" min="1" step="1" value="${settings.summaryInterval}">
+            </label>
+            <label>一并发送的最近消息数
+                <input id="custom-prompt-summary-messages" class="text_pole" type="number" min="1" step="1" value="${settings.summaryMessageCount}">
+            </label>
+            <label>状态区块名称 (不存在时批准后创建)
+                <input id="custom-prompt-summary-block" class="text_pole" type="text" value="${escapeHtml(settings.summaryBlockName)}">
+            </label>
+            <label>更新指令 (${SUMMARY_STATE_PLACEHOLDER} 替换为区块现有文本，${SUMMARY_MESSAGES_PLACEHOLDER} 替换为最近的消息)
+                <textarea id="custom-prompt-summary-instruction" class="text_pole" rows="8">${escapeHtml(settings.summaryInstruction)}</textarea>
+            </label>
+        </div>
+    `;
+
+    settingsPanel.querySelector('#custom-prompt-summary-auto').addEventListener('change', (e) => {
+        settings.summaryAuto = e.target.checked;
+        saveSettingsDebounced();
+    });
+    settingsPanel.querySelector('#custom-prompt-summary-interval').addEventListener('change', (e) => {
+        settings.summaryInterval = Math.max(1, Math.floor(Number(e.target.value) || 0));
+        e.target.value = settings.summaryInterval;
+        saveSettingsDebounced();
+    });
+    settingsPanel.querySelector('#custom-prompt-summary-messages').addEventListener('change', (e) => {
+        settings.summaryMessageCount = Math.max(1, Math.floor(Number(e.target.value) || 0));
+        e.target.value = settings.summaryMessageCount;
+        saveSettingsDebounced();
+    });
+    settingsPanel.querySelector('#custom-prompt-summary-block').addEventListener('change', (e) => {
+        settings.summaryBlockName = e.target.value.trim() || DEFAULT_SETTINGS.summaryBlockName;
+        e.target.value = settings.summaryBlockName;
+        saveSettingsDebounced();
+    });
+    settingsPanel.querySelector('#custom-prompt-summary-instruction').addEventListener('change', (e) => {
+        settings.summaryInstruction = e.target.value.trim() ? e.target.value : DEFAULT_SUMMARY_INSTRUCTION;
+        e.target.value = settings.summaryInstruction;
+        saveSettingsDebounced();
+    });
+
+    settingsPanel.querySelector('#custom-prompt-shortcut').addEventListener('keydown', (e) => {
+        if (e.key === 'Tab' || e.key === 'Escape') return;
+        e.preventDefault();
+        if (e.key === 'Backspace' || e.key === 'Delete') {
+            settings.shortcut = '';
+        } else {
+            const shortcut = formatShortcut(e);
+            if (!shortcut) return;
+            if (!e.ctrlKey && !e.altKey && !e.metaKey) {
+                toastr.warning('快捷键需要包含 Ctrl、Alt 或 Meta 键。');
+                return;
+            }
+            settings.shortcut = shortcut;
+        }
+        e.target.value = settings.shortcut;
+        saveSettingsDebounced();
+    });
+
+    settingsPanel.querySelector('#custom-prompt-carry-over').addEventListener('change', (e) => {
+        settings.carryOverPolicy = e.target.value;
+        saveSettingsDebounced();
+    });
+    settingsPanel.querySelector('#custom-prompt-carry-over-confirm').addEventListener('change', (e) => {
+        settings.carryOverConfirm = e.target.checked;
+        saveSettingsDebounced();
+    });
+
+    settingsPanel.querySelector('#custom-prompt-autosave').addEventListener('change', (e) => {
+        settings.autosave = e.target.checked;
+        saveSettingsDebounced();
+    });
+
+    settingsPanel.querySelector('#custom-prompt-token-threshold').addEventListener('change', (e) => {
+        settings.tokenWarningThreshold = Math.max(0, Math.floor(Number(e.target.value) || 0));
+        e.target.value = settings.tokenWarningThreshold;
+        saveSettingsDebounced();
+        scheduleEditorTokenCount(mainPanel);
+        renderChatListPanel();
+    });
+}
 
 // =================================================================
 //                      UI MODAL FUNCTIONS
@@ -125,11 +962,17 @@ function ensureModalStructure() {
     modalElement.innerHTML = `
         <div class="${MODAL_CLASS_NAME}">
             <div class="${MODAL_HEADER_CLASS}">
+                <div class="${MODAL_HEADER_ACTION_CLASS} prompt-injector-drawer-toggle" data-action="sidebar" title="聊天列表"><i class="fa-solid fa-bars"></i></div>
                 <img id="${SIDEBAR_TOGGLE_ID}" class="${SIDEBAR_TOGGLE_CLASS}" src="img/ai4.png" title="切换侧边栏">
-                <h3 class="${MODAL_TITLE_CLASS}">自定义提示词</h3>
+                <h3 class="${MODAL_TITLE_CLASS}" title="拖动标题栏移动窗口，双击恢复默认大小和位置">自定义提示词</h3>
+                <div class="${MODAL_HEADER_ACTION_CLASS}" data-action="templates" title="模板库"><i class="fa-solid fa-layer-group"></i></div>
+                <div class="${MODAL_HEADER_ACTION_CLASS}" data-action="transfer" title="导入/导出"><i class="fa-solid fa-right-left"></i></div>
+                <div class="${MODAL_HEADER_ACTION_CLASS}" data-action="theme" title="主题"><i class="fa-solid fa-circle-half-stroke"></i></div>
+                <div class="${MODAL_HEADER_ACTION_CLASS}" data-action="settings" title="设置"><i class="fa-solid fa-gear"></i></div>
                 <div class="${MODAL_CLOSE_X_CLASS}"><i class="fa-solid fa-xmark"></i></div>
             </div>
             <div class="${MODAL_BODY_CLASS}"></div>
+            <div class="${MODAL_RESIZE_HANDLE_CLASS}" title="拖动调整大小"></div>
         </div>
     `;
     document.body.appendChild(modalElement);
@@ -139,57 +982,180 @@ function ensureModalStructure() {
     modalBodyElement = modalElement.querySelector(`.${MODAL_BODY_CLASS}`);
 
     // --- Event Listeners ---
-    modalElement.querySelector(`.${MODAL_CLOSE_X_CLASS}`).addEventListener('click', closePromptModal);
+    modalElement.querySelector(`.${MODAL_CLOSE_X_CLASS}`).addEventListener('click', requestClosePromptModal);
+    modalElement.querySelector(`.${MODAL_HEADER_CLASS}`).addEventListener('click', handleHeaderActionClick);
     modalElement.querySelector(`.${SIDEBAR_TOGGLE_CLASS}`).addEventListener('click', () => {
         modalDialogElement.classList.toggle('sidebar-closed');
     });
+    const header = modalElement.querySelector(`.${MODAL_HEADER_CLASS}`);
+    header.addEventListener('pointerdown', (e) => {
+        if (e.target.closest(`.${MODAL_HEADER_ACTION_CLASS}, .${MODAL_CLOSE_X_CLASS}, .${SIDEBAR_TOGGLE_CLASS}`)) return;
+        startModalPointerAction(e, 'move');
+    });
+    modalTitleElement.addEventListener('dblclick', resetModalGeometry);
+    modalElement.querySelector(`.${MODAL_RESIZE_HANDLE_CLASS}`).addEventListener('pointerdown', (e) => startModalPointerAction(e, 'resize'));
     modalElement.addEventListener('click', (e) => {
         if (e.target === modalElement) {
-            closePromptModal();
+            requestClosePromptModal();
         }
     });
 
     modalBodyElement.addEventListener('click', handleModalClick);
 }
 
-function centerModal() {
-    if (!modalDialogElement) return;
-    const windowWidth = window.innerWidth;
-    const windowHeight = window.innerHeight;
-    const dialogWidth = modalDialogElement.offsetWidth;
-    const dialogHeight = modalDialogElement.offsetHeight;
-    modalDialogElement.style.left = `${Math.max(0, (windowWidth - dialogWidth) / 2)}px`;
-    modalDialogElement.style.top = `${Math.max(0, (windowHeight - dialogHeight) / 2)}px`;
+function handleHeaderActionClick(event) {
+    const action = event.target.closest(`.${MODAL_HEADER_ACTION_CLASS}`)?.dataset.action;
+    if (action === 'sidebar') {
+        modalDialogElement.classList.toggle('sidebar-closed');
+        return;
+    }
+    if (action === 'theme') {
+        cycleTheme();
+        return;
+    }
+    const mainPanel = modalBodyElement.querySelector('.prompt-main-panel');
+    if (!action || !mainPanel) return;
+
+    switch (action) {
+        case 'templates':
+            renderTemplatePanel(mainPanel);
+            break;
+        case 'transfer':
+            renderTransferPanel(mainPanel);
+            break;
+        case 'settings':
+            renderSettingsPanel(mainPanel);
+            break;
+    }
 }
 
-async function openPromptModal() {
-    ensureModalStructure();
-    applySavedTheme();
+function isNarrowLayout() {
+    return window.matchMedia(NARROW_LAYOUT_QUERY).matches;
+}
 
-    const context = getContext();
-    let avatarSrc = 'img/ai4.png';
-    if (context.characterId !== undefined && context.characters && context.characters[context.characterId]) {
-        const characterAvatar = context.characters[context.characterId].avatar;
-        if (characterAvatar && characterAvatar !== 'multichar_dummy.png') {
-            avatarSrc = `characters/${characterAvatar}`;
-        }
-    } else if (context.groupId) {
-         const group = context.groups.find(g => g.id === context.groupId);
-         if (group && group.avatar && group.avatar !== 'multichar_dummy.png') {
-             avatarSrc = `groups/${group.avatar}`;
+/**
+ * Places the dialog at its saved geometry, or centers it at the default size.
+ * Narrow screens get the full-screen layout of the stylesheet instead.
+ */
+function positionModal() {
+    if (!modalDialogElement || isNarrowLayout()) return;
+    const geometry = getPluginSettings().modalGeometry;
+    modalDialogElement.style.width = geometry ? `${geometry.width}px` : '';
+    modalDialogElement.style.height = geometry ? `${geometry.height}px` : '';
+    if (geometry) {
+        setModalPosition(geometry.left, geometry.top);
+    } else {
+        setModalPosition((window.innerWidth - modalDialogElement.offsetWidth) / 2, (window.innerHeight - modalDialogElement.offsetHeight) / 2);
+    }
+}
+
+/**
+ * Moves the dialog, keeping it inside the window (at least its header, when it is larger).
+ */
+function setModalPosition(left, top) {
+    const maxLeft = Math.max(0, window.innerWidth - modalDialogElement.offsetWidth);
+    const maxTop = Math.max(0, window.innerHeight - modalDialogElement.offsetHeight);
+    modalDialogElement.style.left = `${Math.round(Math.min(Math.max(0, left), maxLeft))}px`;
+    modalDialogElement.style.top = `${Math.round(Math.min(Math.max(0, top), maxTop))}px`;
+}
+
+/**
+ * Drags the dialog by its header ('move') or its corner handle ('resize'),
+ * and remembers the result.
+ */
+function startModalPointerAction(event, mode) {
+    if (isNarrowLayout() || event.button !== 0) return;
+    event.preventDefault();
+
+    const rect = modalDialogElement.getBoundingClientRect();
+    const start = { x: event.clientX, y: event.clientY, left: rect.left, top: rect.top, width: modalDialogElement.offsetWidth, height: modalDialogElement.offsetHeight };
+    modalDialogElement.classList.add('is-dragging');
+
+    const handleMove = (e) => {
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        if (mode === 'move') {
+            setModalPosition(start.left + dx, start.top + dy);
+        } else {
+            modalDialogElement.style.width = `${Math.max(MODAL_MIN_WIDTH, Math.min(start.width + dx, window.innerWidth - start.left))}px`;
+            modalDialogElement.style.height = `${Math.max(MODAL_MIN_HEIGHT, Math.min(start.height + dy, window.innerHeight - start.top))}px`;
+        }
+    };
+    const handleEnd = () => {
+        window.removeEventListener('pointermove', handleMove);
+        window.removeEventListener('pointerup', handleEnd);
+        window.removeEventListener('pointercancel', handleEnd);
+        modalDialogElement.classList.remove('is-dragging');
+        saveModalGeometry();
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleEnd);
+    window.addEventListener('pointercancel', handleEnd);
+}
+
+function saveModalGeometry() {
+    const rect = modalDialogElement.getBoundingClientRect();
+    getPluginSettings().modalGeometry = {
+        left: Math.round(rect.left),
+        top: Math.round(rect.top),
+        width: modalDialogElement.offsetWidth,
+        height: modalDialogElement.offsetHeight,
+    };
+    saveSettingsDebounced();
+}
+
+function resetModalGeometry() {
+    if (isNarrowLayout()) return;
+    getPluginSettings().modalGeometry = null;
+    saveSettingsDebounced();
+    positionModal();
+}
+
+/**
+ * On narrow screens the chat list is a drawer over the editor, closed after a pick.
+ */
+function closeDrawerOnNarrowLayout() {
+    if (isNarrowLayout()) modalDialogElement.classList.add('sidebar-closed');
+}
+
+async function openPromptModal() {
+    ensureModalStructure();
+    applyTheme();
+
+    const context = getContext();
+    let avatarSrc = 'img/ai4.png';
+    if (context.characterId !== undefined && context.characters && context.characters[context.characterId]) {
+        const characterAvatar = context.characters[context.characterId].avatar;
+        if (characterAvatar && characterAvatar !== 'multichar_dummy.png') {
+            avatarSrc = `characters/${characterAvatar}`;
+        }
+    } else if (context.groupId) {
+         const group = context.groups.find(g => g.id === context.groupId);
+         if (group && group.avatar && group.avatar !== 'multichar_dummy.png') {
+             avatarSrc = `groups/${group.avatar}`;
          }
     }
     const avatarToggle = modalElement.querySelector(`#${SIDEBAR_TOGGLE_ID}`);
     if (avatarToggle) avatarToggle.src = avatarSrc;
 
     modalElement.style.display = 'block';
-    centerModal();
+    positionModal();
     
     // --- Performance Optimization ---
-    currentPage = 1;
     currentViewingChatFile = null;
+    currentViewingOwnerKey = null;
+    currentViewingScope = 'chat';
+    pendingImport = null;
+    sidebarMode = 'owner';
+    globalChatsPromptData = [];
+    globalScanProgress = null;
+    globalSearchQuery = '';
+    selectedChatFiles = new Set();
+    // The tokenizer may have changed with the model since the last time
+    tokenCountCache.clear();
     allChatsPromptData = [];
     isLoadingOtherChats = false;
+    currentScanPromise = null;
     modalBodyElement.innerHTML = '<div class="spinner"></div>';
     modalDialogElement.classList.add('sidebar-closed');
     
@@ -203,24 +1169,43 @@ async function openPromptModal() {
         modalDialogElement.classList.add('visible');
     });
 
-    window.addEventListener('resize', centerModal);
+    window.addEventListener('resize', positionModal);
     document.addEventListener('keydown', handleEscKey);
 }
 
+function isPromptModalOpen() {
+    return modalElement?.style.display === 'block';
+}
+
+/**
+ * Closes the modal once unsaved edits in the editor were saved or discarded.
+ */
+async function requestClosePromptModal() {
+    if (await confirmLeaveEditor()) {
+        closePromptModal();
+    }
+}
+
 function closePromptModal() {
+    clearTimeout(autosaveTimer);
+    if (scanAbortController) {
+        scanAbortController.abort();
+        scanAbortController = null;
+    }
     if (modalElement) {
         modalElement.style.display = 'none';
         if (modalDialogElement) {
             modalDialogElement.classList.remove('visible');
         }
     }
-    window.removeEventListener('resize', centerModal);
+    window.removeEventListener('resize', positionModal);
     document.removeEventListener('keydown', handleEscKey);
 }
 
 function handleEscKey(event) {
-    if (event.key === 'Escape') {
-        closePromptModal();
+    // Escape closes a host popup shown over the modal, not the modal itself
+    if (event.key === 'Escape' && !document.querySelector('dialog.popup[open]')) {
+        requestClosePromptModal();
     }
 }
 
@@ -228,10 +1213,16 @@ function handleEscKey(event) {
 //                      UI RENDERING
 // =================================================================
 
-async function renderPromptView(selectedChatFileName = null) {
+/**
+ * Shows the editor for a chat's prompt.
+ * @param {string|null} [selectedChatFileName] Defaults to the open chat.
+ * @param {string|null} [ownerKey] Character/group of the chat when it was picked in the global browser.
+ */
+async function renderPromptView(selectedChatFileName = null, ownerKey = null) {
     const context = getContext();
     const currentContextChatIdNoExt = String(context.chatId || '').replace('.jsonl', '');
     const selectedChatFileNameNoExt = selectedChatFileName ? String(selectedChatFileName).replace('.jsonl', '') : null;
+    const currentOwner = getCurrentOwner(context);
 
     if (allChatsPromptData.length === 0) {
         const currentChatMetadata = context.chatMetadata || {};
@@ -239,10 +1230,13 @@ async function renderPromptView(selectedChatFileName = null) {
             fileName: currentContextChatIdNoExt,
             displayName: currentContextChatIdNoExt,
             metadata: currentChatMetadata,
-            messages: context.chat || [],
+            scanned: true,
             isGroup: !!context.groupId,
             characterId: context.characterId,
             groupId: context.groupId,
+            avatar: context.groupId ? undefined : currentOwner?.id,
+            ownerKey: getCurrentOwnerKey(context),
+            ownerName: currentOwner?.name,
         };
         allChatsPromptData.push(initialData);
         currentViewingChatFile = currentContextChatIdNoExt;
@@ -251,35 +1245,50 @@ async function renderPromptView(selectedChatFileName = null) {
     } else {
         currentViewingChatFile = currentContextChatIdNoExt;
     }
+    currentViewingOwnerKey = ownerKey || getCurrentOwnerKey(context);
+    currentViewingScope = 'chat';
 
-    let viewingChatData = allChatsPromptData.find(chatData => String(chatData.fileName).replace('.jsonl', '') === currentViewingChatFile);
+    let viewingChatData = findCachedChat(currentViewingChatFile, currentViewingOwnerKey);
     
-    if (!viewingChatData && !isLoadingOtherChats) {
-        modalBodyElement.innerHTML = '<div class="spinner"></div>';
-        const fullChatData = await getFullChatData(context.characterId, context.groupId, currentViewingChatFile, !!context.groupId);
-        if(fullChatData) {
-            viewingChatData = {
-                fileName: currentViewingChatFile,
-                displayName: currentViewingChatFile,
-                ...fullChatData,
-                isGroup: !!context.groupId,
-                characterId: context.characterId,
-                groupId: context.groupId,
-            };
-            allChatsPromptData.push(viewingChatData);
-        }
-    } else if (!viewingChatData) {
+    if (!viewingChatData) {
         modalBodyElement.innerHTML = `<div class="prompt-empty">聊天数据正在加载中...</div>`;
         return;
     }
+    if (!viewingChatData.scanned) {
+        // Not scanned yet, or only known from the scan index
+        modalBodyElement.querySelector('.prompt-main-panel')?.replaceChildren(Object.assign(document.createElement('div'), { className: 'spinner' }));
+        if (!await scanChatMetadata(viewingChatData)) {
+            toastr.error(`无法加载聊天 "${viewingChatData.fileName}"。`);
+            return;
+        }
+        // The user may have picked another chat while this one was loading
+        if (currentViewingScope !== 'chat' || findCachedChat(currentViewingChatFile, currentViewingOwnerKey) !== viewingChatData) return;
+    }
 
     const roleName = viewingChatData.isGroup
         ? (context.groups?.find(g => g.id === viewingChatData.groupId)?.name || '未命名群聊')
-        : (context.characters[viewingChatData.characterId]?.name || context.name2);
+        : (context.characters[getChatCharacterId(viewingChatData)]?.name || context.name2);
     modalTitleElement.textContent = roleName || '自定义提示词';
 
     renderChatListPanel();
-    renderPromptEditor(viewingChatData);
+    renderPromptEditor(viewingChatData.metadata[METADATA_KEY], 'chat', isViewingActiveChat());
+}
+
+/**
+ * Shows the editor for the global default or the default of the current character/group.
+ * @param {'global'|'owner'} scope
+ */
+function renderScopeView(scope) {
+    const owner = getCurrentOwner();
+    if (scope === 'owner' && !owner) return;
+
+    currentViewingScope = scope;
+    currentViewingChatFile = null;
+    currentViewingOwnerKey = null;
+    modalTitleElement.textContent = scope === 'global' ? '全局默认提示词' : `${owner.name} - ${SCOPE_LABELS[owner.type]}默认提示词`;
+
+    renderChatListPanel();
+    renderPromptEditor(getScopeEntry(scope, owner), scope);
 }
 
 function renderChatListPanel() {
@@ -287,26 +1296,81 @@ function renderChatListPanel() {
     if (!panel) {
         panel = document.createElement('div');
         panel.className = 'prompt-chat-list-panel';
+        panel.addEventListener('input', handleChatListInput);
         modalBodyElement.prepend(panel);
     }
+    if (sidebarMode === 'global') {
+        renderGlobalChatListPanel(panel);
+        return;
+    }
     
     const context = getContext();
     const currentContextChatIdNoExt = String(context.chatId || '').replace('.jsonl', '');
 
+    const owner = getCurrentOwner(context);
+    const scopeItemsHtml = [
+        { scope: 'global', icon: 'fa-globe', name: '全局默认', entry: getScopeEntry('global') },
+        owner && { scope: 'owner', icon: owner.type === 'group' ? 'fa-users' : 'fa-user', name: `${SCOPE_LABELS[owner.type]}默认`, entry: getScopeEntry('owner', owner) },
+    ].filter(Boolean).map(item => ({ ...item, hasPrompt: hasPromptContent(item.entry) })).map(item => `
+        <div class="prompt-chat-list-item prompt-scope-item ${currentViewingScope === item.scope ? 'active' : ''}" data-scope="${item.scope}">
+            <i class="fa-solid ${item.icon}"></i>
+            <div class="chat-list-item-name">${item.name}</div>
+            ${item.hasPrompt ? renderTokenBadgeHtml(item.entry) : ''}
+            <div class="chat-list-item-indicator">${item.hasPrompt ? '✓' : ''}</div>
+        </div>
+    `).join('');
+
+    const visibleChats = allChatsPromptData.filter(chat => showAllChats
+        || hasPromptContent(chat.metadata[METADATA_KEY])
+        || String(chat.fileName).replace('.jsonl', '') === currentContextChatIdNoExt);
+    // Drop selections that are no longer visible so bulk actions only touch what the user sees
+    const visibleFiles = new Set(visibleChats.map(chat => chat.fileName));
+    selectedChatFiles = new Set([...selectedChatFiles].filter(file => visibleFiles.has(file)));
+    const allVisibleSelected = visibleChats.length > 0 && selectedChatFiles.size === visibleChats.length;
+
+    const toolbarHtml = `
+        <div class="prompt-chat-list-toolbar">
+            ${renderSidebarModeToggleHtml()}
+            <label class="checkbox_label" title="同时显示没有提示词的聊天">
+                <input type="checkbox" class="prompt-show-all-chats" ${showAllChats ? 'checked' : ''}>
+                <span>显示全部聊天</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" class="prompt-select-all-chats" ${allVisibleSelected ? 'checked' : ''}>
+                <span>全选 (${selectedChatFiles.size})</span>
+            </label>
+            ${bulkProgress ? `
+                <div class="prompt-bulk-progress">
+                    <div>${bulkProgress.label}中 ${bulkProgress.done}/${bulkProgress.total}</div>
+                    <progress max="${bulkProgress.total}" value="${bulkProgress.done}"></progress>
+                </div>
+            ` : selectedChatFiles.size > 0 ? `
+                <div class="prompt-bulk-actions">
+                    <button class="menu_button" data-bulk-action="copy" title="将编辑器中的提示词复制到所选聊天">复制当前提示词</button>
+                    <button class="menu_button" data-bulk-action="replace">查找替换</button>
+                    <button class="menu_button" data-bulk-action="clear">清空提示词</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+
     const chatListItemsHtml = `
+        ${toolbarHtml}
         <div class="prompt-chat-list-items">
-            ${allChatsPromptData.map(chat => {
+            ${scopeItemsHtml}
+            <div class="prompt-chat-list-divider"></div>
+            ${visibleChats.map(chat => {
                 const fileNameNoExt = String(chat.fileName).replace('.jsonl', '');
-                const hasPrompt = chat.metadata[METADATA_KEY]?.prompt;
-                if (!hasPrompt && fileNameNoExt !== currentContextChatIdNoExt) return '';
-                
-                const isSelected = fileNameNoExt === currentViewingChatFile;
+                const hasPrompt = hasPromptContent(chat.metadata[METADATA_KEY]);
+                const isSelected = currentViewingScope === 'chat' && fileNameNoExt === currentViewingChatFile && chat.ownerKey === currentViewingOwnerKey;
                 return `
-                    <div class="prompt-chat-list-item ${isSelected ? 'active' : ''}" data-chat-file="${fileNameNoExt}">
-                        <div class="chat-list-item-name" title="${chat.displayName || fileNameNoExt}">
-                            ${chat.displayName || fileNameNoExt}
+                    <div class="prompt-chat-list-item ${isSelected ? 'active' : ''}" data-chat-file="${escapeHtml(fileNameNoExt)}">
+                        <input type="checkbox" class="prompt-chat-select" ${selectedChatFiles.has(chat.fileName) ? 'checked' : ''} ${bulkProgress ? 'disabled' : ''}>
+                        <div class="chat-list-item-name" title="${escapeHtml(chat.displayName || fileNameNoExt)}">
+                            ${escapeHtml(chat.displayName || fileNameNoExt)}
                         </div>
-                        <div class="chat-list-item-indicator">${hasPrompt ? '✓' : ''}</div>
+                        ${hasPrompt ? renderTokenBadgeHtml(chat.metadata[METADATA_KEY]) : ''}
+                        <div class="chat-list-item-indicator">${hasPrompt ? '✓' : chat.scanned ? '' : '…'}</div>
                     </div>
                 `;
             }).join('')}
@@ -319,7 +1383,162 @@ function renderChatListPanel() {
     if (chatListElement) chatListElement.scrollTop = chatListScrollTop;
 }
 
-function renderPromptEditor(viewingChatData) {
+function renderSidebarModeToggleHtml() {
+    return `
+        <label class="checkbox_label" title="在所有角色和群组的聊天中查找提示词">
+            <input type="checkbox" class="prompt-global-mode" ${sidebarMode === 'global' ? 'checked' : ''} ${bulkProgress ? 'disabled' : ''}>
+            <span>浏览所有角色</span>
+        </label>
+    `;
+}
+
+/**
+ * Returns the searchable text of a prompt entry: its block names and contents.
+ */
+function getEntrySearchText(rawEntry) {
+    return getRawPromptBlocks(rawEntry).map(block => `${block.name}\n${block.content}`).join('\n');
+}
+
+/**
+ * Sidebar of the global browser: chats with a prompt of every character and
+ * group, grouped by owner and filtered by globalSearchQuery.
+ */
+function renderGlobalChatListPanel(panel) {
+    const searchHadFocus = document.activeElement?.classList.contains('prompt-global-search');
+    const query = globalSearchQuery.trim().toLowerCase();
+
+    const groups = new Map();
+    const snippets = [];
+    for (const chatData of [...allChatsPromptData, ...globalChatsPromptData]) {
+        const rawEntry = chatData.metadata[METADATA_KEY];
+        if (!hasPromptContent(rawEntry)) continue;
+        const searchText = getEntrySearchText(rawEntry);
+        const matchIndex = query ? searchText.toLowerCase().indexOf(query) : -1;
+        if (query && matchIndex === -1) continue;
+
+        if (!groups.has(chatData.ownerKey)) {
+            groups.set(chatData.ownerKey, { name: chatData.ownerName || chatData.ownerKey, chats: [] });
+        }
+        groups.get(chatData.ownerKey).chats.push({ chatData, snippetIndex: query ? snippets.length : -1 });
+        if (query) snippets.push({ text: searchText, start: matchIndex, length: query.length });
+    }
+    const sortedGroups = [...groups.entries()].sort((a, b) => a[1].name.localeCompare(b[1].name));
+
+    const resultsHtml = sortedGroups.map(([ownerKey, group]) => `
+        <div class="prompt-chat-list-group-header">
+            <i class="fa-solid ${ownerKey.startsWith('group:') ? 'fa-users' : 'fa-user'}"></i> ${escapeHtml(group.name)} (${group.chats.length})
+        </div>
+        ${group.chats.map(({ chatData, snippetIndex }) => {
+            const isSelected = currentViewingScope === 'chat' && chatData.fileName === currentViewingChatFile && ownerKey === currentViewingOwnerKey;
+            return `
+                <div class="prompt-chat-list-item ${isSelected ? 'active' : ''}" data-chat-file="${escapeHtml(chatData.fileName)}" data-owner-key="${escapeHtml(ownerKey)}">
+                    <div class="chat-list-item-name" title="${escapeHtml(chatData.displayName || chatData.fileName)}">
+                        ${escapeHtml(chatData.displayName || chatData.fileName)}
+                        ${snippetIndex >= 0 ? `<div class="prompt-search-snippet" data-snippet-index="${snippetIndex}"></div>` : ''}
+                    </div>
+                    ${renderTokenBadgeHtml(chatData.metadata[METADATA_KEY])}
+                </div>
+            `;
+        }).join('')}
+    `).join('');
+
+    const statusHtml = globalScanProgress
+        ? `<div class="chat-list-loader">正在扫描角色和群组 ${globalScanProgress.done}/${globalScanProgress.total}...</div>`
+        : (sortedGroups.length === 0 ? `<div class="prompt-empty">${query ? '没有提示词包含此内容。' : '没有任何聊天设置了提示词。'}</div>` : '');
+
+    panel.innerHTML = `
+        <div class="prompt-chat-list-toolbar">
+            ${renderSidebarModeToggleHtml()}
+            <input type="search" class="text_pole prompt-global-search" placeholder="搜索提示词内容..." value="">
+        </div>
+        <div class="prompt-chat-list-items">
+            ${resultsHtml}
+            ${statusHtml}
+        </div>
+    `;
+
+    // Prompt text is user content, so the search box and the snippets are filled in as text
+    const searchInput = panel.querySelector('.prompt-global-search');
+    searchInput.value = globalSearchQuery;
+    if (searchHadFocus) {
+        searchInput.focus();
+        searchInput.setSelectionRange(searchInput.value.length, searchInput.value.length);
+    }
+    panel.querySelectorAll('.prompt-search-snippet').forEach(element => {
+        const { text, start, length } = snippets[Number(element.dataset.snippetIndex)];
+        const from = Math.max(0, start - 20);
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, start + length);
+        element.append(
+            (from > 0 ? '…' : '') + text.slice(from, start).replace(/\s+/g, ' '),
+            mark,
+            text.slice(start + length, start + length + 40).replace(/\s+/g, ' '),
+        );
+    });
+
+    const chatListElement = panel.querySelector('.prompt-chat-list-items');
+    if (chatListElement) chatListElement.scrollTop = chatListScrollTop;
+}
+
+function handleChatListInput(event) {
+    if (!event.target.classList.contains('prompt-global-search')) return;
+    globalSearchQuery = event.target.value;
+    chatListScrollTop = 0;
+    renderChatListPanel();
+}
+
+/**
+ * Loads the chats of every other character and group for the global browser,
+ * one owner at a time. The current owner's chats come from the regular scan.
+ */
+async function loadAllOwnersChatsInBackground() {
+    if (globalScanProgress || globalChatsPromptData.length > 0) return;
+    const signal = scanAbortController?.signal;
+    const context = getContext();
+    const currentOwnerKey = getCurrentOwnerKey(context);
+    const owners = [
+        ...(context.characters || []).map(character => ({ type: 'character', id: character.avatar, name: character.name })),
+        ...(context.groups || []).map(group => ({ type: 'group', id: group.id, name: group.name || '未命名群聊' })),
+    ].filter(owner => getOwnerKey(owner) !== currentOwnerKey);
+
+    globalScanProgress = { done: 0, total: owners.length };
+    scheduleChatListRender();
+    for (const owner of owners) {
+        if (signal?.aborted) return;
+        const chats = await getAllChatDataForOwner(owner, { signal });
+        if (signal?.aborted) return;
+        globalChatsPromptData.push(...chats);
+        globalScanProgress.done++;
+        scheduleChatListRender();
+    }
+    globalScanProgress = null;
+    scheduleChatListRender();
+}
+
+/**
+ * Builds the human-readable description shown above the textarea.
+ * @param {{position: number, depth: number, role: number}} settings
+ * @returns {string}
+ */
+function describeInjection(settings) {
+    const roleLabel = INJECTION_ROLE_OPTIONS.find(option => option.value === settings.role)?.label || '';
+    switch (settings.position) {
+        case extension_prompt_types.BEFORE_PROMPT:
+            return '此提示词将在每次生成时插入到主提示词之前。';
+        case extension_prompt_types.IN_PROMPT:
+            return '此提示词将在每次生成时插入到主提示词之后。';
+        default:
+            return `此提示词将在每次生成时作为一条 ${roleLabel} 消息注入到聊天记录中 (Depth @D ${settings.depth})。`;
+    }
+}
+
+/**
+ * Renders the editor for one prompt entry.
+ * @param {object|undefined} rawEntry The stored entry of the scope being edited.
+ * @param {'chat'|'global'|'owner'} scope
+ * @param {boolean} [isActiveChat] Whether a chat entry belongs to the open chat, whose inherited layers are shown.
+ */
+function renderPromptEditor(rawEntry, scope, isActiveChat = false) {
     let mainPanel = modalBodyElement.querySelector('.prompt-main-panel');
     if (!mainPanel) {
         mainPanel = document.createElement('div');
@@ -327,243 +1546,3201 @@ function renderPromptEditor(viewingChatData) {
         modalBodyElement.appendChild(mainPanel);
     }
     
-    const promptData = viewingChatData.metadata[METADATA_KEY];
-    const currentPrompt = promptData?.prompt || '';
+    editorDraft = normalizePromptEntry(rawEntry);
+    if (editorDraft.blocks.length === 0) {
+        editorDraft.blocks.push(createPromptBlock('默认'));
+    }
+    selectedBlockIndex = 0;
+    const settings = getInjectionSettings(editorDraft);
+
+    const positionOptionsHtml = INJECTION_POSITION_OPTIONS.map(option =>
+        `<option value="${option.value}" ${option.value === settings.position ? 'selected' : ''}>${option.label}</option>`
+    ).join('');
+    const roleOptionsHtml = INJECTION_ROLE_OPTIONS.map(option =>
+        `<option value="${option.value}" ${option.value === settings.role ? 'selected' : ''}>${option.label}</option>`
+    ).join('');
+
+    const inheritOptionsHtml = INHERIT_MODE_OPTIONS.map(option =>
+        `<option value="${option.value}" ${option.value === editorDraft.inherit ? 'selected' : ''}>${option.label}</option>`
+    ).join('');
+    const scopeSectionHtml = scope === 'chat'
+        ? `
+            <div class="prompt-scope-section">
+                <label class="checkbox_label" title="停用后本聊天不注入任何提示词 (包括继承的)，文本会保留">
+                    <input id="custom-prompt-enabled" type="checkbox" ${editorDraft.enabled ? 'checked' : ''}>
+                    <span>在本聊天启用提示词注入</span>
+                </label>
+                <label>继承方式
+                    <select id="custom-prompt-inherit" class="text_pole">${inheritOptionsHtml}</select>
+                </label>
+                ${renderOriginNoteHtml(editorDraft.origin)}
+                ${isActiveChat ? renderInheritedLayersHtml() : ''}
+            </div>
+        `
+        : `<p class="prompt-scope-note">此${scope === 'global' ? '全局' : '角色/群组'}默认提示词会应用到${scope === 'global' ? '所有' : '该角色/群组的所有'}聊天，聊天可在其继承方式中覆盖或关闭它。</p>`;
 
     const mainPanelHtml = `
         <div class="prompt-editor-container">
-            <p class="prompt-editor-info">此提示词将在每次生成时作为一条系统消息 (System Role) 注入到聊天记录的极早期位置 (Depth @D 9999)。</p>
-            <textarea id="custom-prompt-textarea" class="text_pole" placeholder="在此输入你的自定义提示词...">${currentPrompt}</textarea>
-            <button id="save-custom-prompt-button" class="menu_button primary_button">保存提示词</button>
+            <p class="prompt-editor-info">${describeInjection(settings)}</p>
+            ${scopeSectionHtml}
+            <div class="prompt-injection-settings">
+                <label>位置
+                    <select id="custom-prompt-position" class="text_pole">${positionOptionsHtml}</select>
+                </label>
+                <label>深度
+                    <input id="custom-prompt-depth" class="text_pole" type="number" min="0" step="1" value="${settings.depth}">
+                </label>
+                <label>角色
+                    <select id="custom-prompt-role" class="text_pole">${roleOptionsHtml}</select>
+                </label>
+                <label class="checkbox_label" title="注入的文本参与世界书关键词扫描">
+                    <input id="custom-prompt-scan" type="checkbox" ${settings.scan ? 'checked' : ''}>
+                    <span>世界书扫描</span>
+                </label>
+            </div>
+            ${renderRulesSectionHtml(editorDraft.rules)}
+            <div class="prompt-block-list"></div>
+            ${renderCodeEditorHtml()}
+            <div class="prompt-token-info"></div>
+            <div class="prompt-editor-actions">
+                <span class="prompt-dirty-indicator"></span>
+                <button id="template-custom-prompt-button" class="menu_button" title="从模板库插入或替换文本">插入模板</button>
+                <button id="save-template-custom-prompt-button" class="menu_button" title="把此区块的文本存入模板库">存为模板</button>
+                <button id="history-custom-prompt-button" class="menu_button" title="查看并恢复已保存的版本">历史版本</button>
+                <button id="preview-custom-prompt-button" class="menu_button" title="按当前聊天展开宏与变量">预览展开后的文本</button>
+                <button id="dryrun-custom-prompt-button" class="menu_button" title="模拟下一次生成，查看提示词在实际发送内容中的位置">查看发送内容</button>
+                ${isActiveChat ? `<button id="state-update-custom-prompt-button" class="menu_button" title="把最近的消息和区块 &quot;${escapeHtml(getPluginSettings().summaryBlockName)}&quot; 发给模型，生成更新建议">更新状态</button>` : ''}
+                <button id="save-custom-prompt-button" class="menu_button primary_button">保存提示词</button>
+            </div>
         </div>
     `;
 
     mainPanel.innerHTML = mainPanelHtml;
+    updateInjectionControlsState(mainPanel);
+    selectPromptBlock(mainPanel, 0);
 
+    // Keep the description and the depth/role inputs in sync with the selected position
+    mainPanel.querySelector('.prompt-injection-settings').addEventListener('input', () => updateInjectionControlsState(mainPanel));
+    mainPanel.querySelector('.prompt-rules-section').addEventListener('input', () => {
+        editorDraft.rules = readRulesControls(mainPanel);
+        updateRulesStatus(mainPanel, isActiveChat);
+    });
+    updateRulesStatus(mainPanel, isActiveChat);
+    // The textarea and name input always edit the selected block of the draft
+    mainPanel.querySelector('#custom-prompt-textarea').addEventListener('input', (e) => {
+        editorDraft.blocks[selectedBlockIndex].content = e.target.value;
+        findMatchIndex = -1;
+        refreshCodeEditor(mainPanel);
+        scheduleEditorTokenCount(mainPanel);
+    });
+    mainPanel.querySelector('#custom-prompt-block-name').addEventListener('input', (e) => {
+        editorDraft.blocks[selectedBlockIndex].name = e.target.value;
+        const nameElement = mainPanel.querySelector(`.prompt-block-item[data-block-index="${selectedBlockIndex}"] .prompt-block-name`);
+        if (nameElement) nameElement.textContent = e.target.value || '(未命名)';
+    });
+    mainPanel.querySelector('.prompt-block-list').addEventListener('click', (e) => handleBlockListClick(e, mainPanel));
+    mainPanel.querySelector('#custom-prompt-inherit')?.addEventListener('change', (e) => {
+        editorDraft.inherit = e.target.value;
+    });
+    mainPanel.querySelector('#custom-prompt-enabled')?.addEventListener('change', (e) => {
+        editorDraft.enabled = e.target.checked;
+    });
     // Add event listener for the save button
     mainPanel.querySelector('#save-custom-prompt-button').addEventListener('click', handleSavePrompt);
-}
+    mainPanel.querySelector('#preview-custom-prompt-button').addEventListener('click', showExpandedPromptPreview);
+    mainPanel.querySelector('#dryrun-custom-prompt-button').addEventListener('click', () => renderDryRunPanel(mainPanel));
+    mainPanel.querySelector('#state-update-custom-prompt-button')?.addEventListener('click', () => {
+        if (pendingStateUpdate?.chatId === getContext().chatId) showStateUpdateProposal();
+        else proposeStateUpdate();
+    });
+    mainPanel.querySelector('#history-custom-prompt-button').addEventListener('click', () => renderHistoryPanel(mainPanel));
+    mainPanel.querySelector('#template-custom-prompt-button').addEventListener('click', () => renderTemplatePanel(mainPanel));
+    mainPanel.querySelector('#save-template-custom-prompt-button').addEventListener('click', saveBlockAsTemplate);
+    setupCodeEditor(mainPanel);
 
-async function loadOtherChatsInBackground() {
-    if (isLoadingOtherChats) return;
-    isLoadingOtherChats = true;
-    renderChatListPanel();
+    // Registered last, so the draft is already updated when the dirty state is checked
+    const editorContainer = mainPanel.querySelector('.prompt-editor-container');
+    ['input', 'change', 'click'].forEach(type => editorContainer.addEventListener(type, () => handleEditorChange(mainPanel)));
+    clearTimeout(autosaveTimer);
+    markEditorClean(mainPanel);
+}
 
-    const otherChatsData = await getAllChatDataForCurrentContext(true); // pass true to skip current chat
-    
-    const existingFileNames = new Set(allChatsPromptData.map(c => c.fileName));
-    otherChatsData.forEach(chatData => {
-        if (!existingFileNames.has(chatData.fileName)) {
-            allChatsPromptData.push(chatData);
-        }
-    });
+/**
+ * Hides the editor and shows a sub panel (history, import/export, ...) in its
+ * place, so the unsaved draft survives switching back.
+ * @param {HTMLElement} mainPanel
+ * @param {string} className Class identifying the sub panel.
+ * @param {(event: MouseEvent) => void} clickHandler Delegated click handler, bound once.
+ * @returns {HTMLElement}
+ */
+function openSubPanel(mainPanel, className, clickHandler) {
+    mainPanel.querySelector('.prompt-editor-container')?.classList.add('hidden');
+    mainPanel.querySelectorAll(`.prompt-sub-panel:not(.${className})`).forEach(panel => panel.remove());
 
-    const context = getContext();
-    const currentContextChatIdNoExt = String(context.chatId || '').replace('.jsonl', '');
-    allChatsPromptData.sort((a, b) => {
-        if (a.fileName === currentContextChatIdNoExt) return -1;
-        if (b.fileName === currentContextChatIdNoExt) return 1;
-        return a.fileName.localeCompare(b.fileName);
-    });
+    let panel = mainPanel.querySelector(`.${className}`);
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.className = `prompt-sub-panel ${className}`;
+        mainPanel.appendChild(panel);
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('.prompt-sub-panel-back')) {
+                closeSubPanels(mainPanel);
+                return;
+            }
+            clickHandler(e);
+        });
+    }
+    return panel;
+}
 
-    isLoadingOtherChats = false;
-    renderChatListPanel();
+function closeSubPanels(mainPanel) {
+    mainPanel.querySelectorAll('.prompt-sub-panel').forEach(panel => panel.remove());
+    mainPanel.querySelector('.prompt-editor-container')?.classList.remove('hidden');
 }
 
 // =================================================================
-//                   MODAL EVENT HANDLER & SAVE LOGIC
+//                      REVISION HISTORY
 // =================================================================
 
-async function handleModalClick(event) {
-    const target = event.target;
-    const chatListItem = target.closest('.prompt-chat-list-item');
-    if (chatListItem) {
-        const chatFile = String(chatListItem.dataset.chatFile).replace('.jsonl','');
-        if (chatFile && chatFile !== currentViewingChatFile) {
-            chatListScrollTop = chatListItem.parentElement.scrollTop;
-            await renderPromptView(chatFile);
-        }
-        return;
-    }
-}
+/**
+ * Shows the revision history of the entry in the editor, on top of the editor
+ * so the unsaved draft survives switching back.
+ * @param {HTMLElement} mainPanel
+ * @param {number} [selectedIndex] Revision whose diff is shown, newest by default.
+ */
+function renderHistoryPanel(mainPanel, selectedIndex = editorDraft.history.length - 1) {
+    const historyPanel = openSubPanel(mainPanel, 'prompt-history-panel', (e) => handleHistoryPanelClick(e, mainPanel));
 
-async function handleSavePrompt() {
-    const textarea = document.getElementById('custom-prompt-textarea');
-    if (!textarea) return;
+    const history = editorDraft.history;
+    const revisionItemsHtml = history.map((revision, index) => ({ revision, index })).reverse().map(({ revision, index }) => `
+        <div class="prompt-history-item ${index === selectedIndex ? 'active' : ''}" data-revision-index="${index}">
+            <div class="prompt-history-time">${new Date(revision.timestamp).toLocaleString()}</div>
+            <div class="prompt-history-summary">${revision.blocks.length} 个区块 · ${revision.text.length} 字符</div>
+        </div>
+    `).join('');
+
+    historyPanel.innerHTML = `
+        <div class="prompt-sub-panel-header">
+            <button class="menu_button prompt-sub-panel-back"><i class="fa-solid fa-arrow-left"></i> 返回编辑</button>
+            <span>共 ${history.length} 个版本 (最多保留 ${MAX_PROMPT_HISTORY} 个)</span>
+        </div>
+        <div class="prompt-history-body">
+            <div class="prompt-history-list">${revisionItemsHtml || '<div class="prompt-empty">还没有保存过的版本。</div>'}</div>
+            <div class="prompt-history-detail"></div>
+        </div>
+    `;
 
-    const newPromptText = textarea.value;
-    const chatFileToModify = currentViewingChatFile;
+    const revision = history[selectedIndex];
+    if (!revision) return;
 
-    const chatDataInCache = allChatsPromptData.find(c => String(c.fileName).replace('.jsonl', '') === chatFileToModify);
-    if (!chatDataInCache) {
-        toastr.error('错误: 找不到聊天缓存数据。');
+    const detail = historyPanel.querySelector('.prompt-history-detail');
+    detail.innerHTML = `
+        <div class="prompt-history-detail-header">
+            <span class="prompt-diff-legend"><span class="prompt-diff-remove">- 此版本</span> <span class="prompt-diff-add">+ 当前文本</span></span>
+            <button class="menu_button prompt-history-restore" data-revision-index="${selectedIndex}">恢复此版本</button>
+        </div>
+        <div class="prompt-diff"></div>
+    `;
+    const diffElement = detail.querySelector('.prompt-diff');
+    const diff = computeLineDiff(revision.text, flattenPromptBlocks(editorDraft.blocks));
+    if (diff.every(part => part.type === 'same')) {
+        diffElement.textContent = '此版本与当前文本相同。';
         return;
     }
+    appendLineDiff(diffElement, diff);
+}
 
-    // Ensure the metadata key exists
-    if (!chatDataInCache.metadata[METADATA_KEY]) {
-        chatDataInCache.metadata[METADATA_KEY] = {};
+async function handleHistoryPanelClick(event, mainPanel) {
+    const target = event.target;
+    const restoreButton = target.closest('.prompt-history-restore');
+    if (restoreButton) {
+        await restoreRevision(mainPanel, Number(restoreButton.dataset.revisionIndex));
+        return;
+    }
+    const item = target.closest('.prompt-history-item');
+    if (item) {
+        renderHistoryPanel(mainPanel, Number(item.dataset.revisionIndex));
     }
-    chatDataInCache.metadata[METADATA_KEY].prompt = newPromptText;
+}
 
-    try {
-        const context = getContext();
-        const currentContextChatIdNoExt = String(context.chatId || '').replace('.jsonl', '');
+/**
+ * Saves a revision's blocks as the current prompt of the entry in the editor
+ * and reloads the editor with it. Works for the open chat, other chats and defaults.
+ */
+async function restoreRevision(mainPanel, revisionIndex) {
+    const revision = editorDraft.history[revisionIndex];
+    if (!revision) return;
 
-        if (chatFileToModify === currentContextChatIdNoExt) {
-            // It's the currently active chat, use the efficient context update
-            context.updateChatMetadata({
-                [METADATA_KEY]: chatDataInCache.metadata[METADATA_KEY]
-            });
-            saveMetadataDebounced();
-        } else {
-            // It's a different chat, save it to its specific file
-            await saveSpecificChatMetadata(chatFileToModify, chatDataInCache.metadata, chatDataInCache.messages);
-        }
-        
-        // Apply the change immediately if it's the active chat
-        if (chatFileToModify === currentContextChatIdNoExt) {
-            applyOrClearCustomPrompt();
-        }
-        
-        toastr.success('提示词已成功保存！');
-        renderChatListPanel(); // Re-render to show/hide the checkmark indicator
+    const entry = buildEntryFromEditor(mainPanel);
+    entry.blocks = structuredClone(revision.blocks);
+    appendRevision(entry);
 
-    } catch (error) {
-        console.error(`[${pluginName}] Failed to save prompt:`, error);
-        toastr.error('保存提示词失败，请检查控制台。');
-    }
+    if (!await persistEditorEntry(entry)) return;
+    toastr.success(`已恢复 ${new Date(revision.timestamp).toLocaleString()} 的版本。`);
+    renderPromptEditor(entry, currentViewingScope, isViewingActiveChat());
+    renderChatListPanel();
 }
 
-// =================================================================
-//        DATA FETCHING & SAVING (ADAPTED FROM 'STAR' PLUGIN)
-// =================================================================
-
-async function getAllChatDataForCurrentContext(skipCurrentChat = false) {
-    const context = getContext();
-    if (!context) return [];
-    
-    const currentContextChatIdNoExt = String(context.chatId || '').replace('.jsonl','');
-    let chatListResponse, requestBody, allData = [];
-
-    const processChatList = async (list) => {
-        for (const chatMeta of list) {
-            const chatFileNameWithExt = chatMeta.file_name;
-            const chatFileNameNoExt = String(chatFileNameWithExt || '').replace('.jsonl', '');
-            if (!chatFileNameNoExt || (skipCurrentChat && chatFileNameNoExt === currentContextChatIdNoExt)) {
-                continue;
-            }
-            const fullChatData = await getFullChatData(context.characterId, context.groupId, chatFileNameNoExt, !!context.groupId, chatMeta);
-            // We load all chats that have *any* metadata, to show them in the list
-            if (fullChatData) {
-                allData.push({ 
-                    fileName: chatFileNameNoExt, 
-                    displayName: chatFileNameNoExt, 
-                    metadata: fullChatData.metadata, 
-                    messages: fullChatData.messages || [], 
-                    isGroup: !!context.groupId, 
-                    characterId: context.characterId,
-                    groupId: context.groupId,
-                });
-            }
-        }
-    };
+/**
+ * Shows the enabled blocks of the draft with macros and variables expanded
+ * the way they would be for the next generation in the open chat.
+ */
+async function showExpandedPromptPreview() {
+    if (!editorDraft) return;
 
-    if (context.groupId) {
-        requestBody = { group_id: context.groupId, query: '' };
-        try {
-            chatListResponse = await fetch('/api/chats/search', { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody) });
-            if (chatListResponse.ok) await processChatList(await chatListResponse.json());
-        } catch (error) { console.error(`[${pluginName}] Error fetching group chats:`, error); }
-	} else if (context.characterId !== undefined && context.characters[context.characterId]) {
-		const charObj = context.characters[context.characterId];
-		requestBody = { avatar_url: charObj.avatar };
-		try {
-			chatListResponse = await fetch('/api/characters/chats', { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody) });
-            if (chatListResponse.ok) await processChatList(await chatListResponse.json());
-		} catch (error) { console.error(`[${pluginName}] Error fetching character chats:`, error); }
+    const container = document.createElement('div');
+    container.className = 'prompt-expanded-preview';
+    const enabledBlocks = editorDraft.blocks.filter(block => block.enabled && block.content.trim() !== '');
+    if (enabledBlocks.length === 0) {
+        container.textContent = '没有已启用的提示词区块。';
+    }
+    for (const block of enabledBlocks) {
+        const title = document.createElement('h4');
+        title.textContent = block.name || '(未命名)';
+        const text = document.createElement('pre');
+        text.textContent = substituteParams(block.content);
+        container.append(title, text);
     }
-    
-    return allData;
-}
 
-async function getFullChatData(characterId, groupId, chatFileNameNoExt, isGroup, providedMetadata = null) {
-    // This function is complex but robust, adapted directly from the star plugin
-    // to fetch full chat data including metadata and messages.
-    const context = getContext();
-    let endpoint, requestBody, finalMetadataObject = {}, messages = [];
-    try {
-        if (isGroup) {
-            if (!groupId) return null;
-            endpoint = '/api/chats/group/get';
-            requestBody = { id: groupId, chat_id: chatFileNameNoExt };
-            const response = await fetch(endpoint, { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody) });
-            if (response.ok) {
-                const groupChatData = await response.json();
-                if (Array.isArray(groupChatData) && groupChatData.length > 0 && typeof groupChatData[0] === 'object' && !Array.isArray(groupChatData[0])) {
-                    finalMetadataObject = JSON.parse(JSON.stringify(groupChatData[0].chat_metadata || groupChatData[0]));
-                    messages = groupChatData.slice(1);
-                } else {
-                    messages = groupChatData;
-                }
-            }
-        } else {
-            if (characterId === undefined || !context.characters[characterId]) return null;
-            const charObj = context.characters[characterId];
-            endpoint = '/api/chats/get';
-            requestBody = { ch_name: charObj.name, file_name: chatFileNameNoExt, avatar_url: charObj.avatar };
-            const response = await fetch(endpoint, { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody) });
-            if (!response.ok) return null;
-            const chatDataResponse = await response.json();
-            if (Array.isArray(chatDataResponse) && chatDataResponse.length > 0 && typeof chatDataResponse[0] === 'object' && !Array.isArray(chatDataResponse[0])) {
-                finalMetadataObject = JSON.parse(JSON.stringify(chatDataResponse[0].chat_metadata || chatDataResponse[0]));
-                messages = chatDataResponse.slice(1);
-            } else {
-                messages = Array.isArray(chatDataResponse) ? chatDataResponse : [];
-            }
-        }
-        return { metadata: finalMetadataObject, messages };
-    } catch (error) {
-        console.error(`[${pluginName}] getFullChatData error for "${chatFileNameNoExt}":`, error);
-        return { metadata: {}, messages: [] };
+    if (!isViewingActiveChat()) {
+        const note = document.createElement('p');
+        note.className = 'prompt-expanded-preview-note';
+        note.textContent = '注意: 宏和变量按当前打开的聊天展开。';
+        container.prepend(note);
     }
-}
 
-async function saveSpecificChatMetadata(chatFileNameNoExt, metadataToSave, messagesArray = null) {
-    // This function is also adapted from the star plugin to save changes to non-active chats.
-    const context = getContext();
-    try {
-        if (messagesArray === null) {
-            const fullChatData = await getFullChatData(context.characterId, context.groupId, chatFileNameNoExt, !!context.groupId);
-            if (!fullChatData || !fullChatData.messages) { throw new Error('Could not load chat messages to save.'); }
-            messagesArray = fullChatData.messages;
-        }
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
 
-        const finalMetadataObjectForSave = { ...metadataToSave, chat_metadata: metadataToSave };
-        let chatContentToSave = [finalMetadataObjectForSave, ...messagesArray];
+/**
+ * Lists the blocks the open chat inherits, labelled with the scope they come from.
+ */
+function renderInheritedLayersHtml() {
+    const owner = getCurrentOwner();
+    const layers = [{ scope: 'global', entry: normalizePromptEntry(getScopeEntry('global')) }];
+    if (owner) layers.push({ scope: owner.type, entry: normalizePromptEntry(getScopeEntry('owner', owner)) });
 
-        let requestBody = { chat: chatContentToSave, file_name: chatFileNameNoExt, force: true };
-        if (!!context.groupId) {
-            if (!context.groupId) throw new Error("Group ID unknown.");
-            requestBody.is_group = true;
-            requestBody.id = context.groupId;
-        } else {
-            if (context.characterId === undefined) throw new Error("Character info unknown.");
-            const charObj = context.characters[context.characterId];
-            requestBody.ch_name = charObj.name;
-            requestBody.avatar_url = charObj.avatar;
-        }
+    const itemsHtml = layers.flatMap(({ scope, entry }) => entry.blocks
+        .filter(block => block.content.trim() !== '')
+        .map(block => `
+            <div class="prompt-inherited-item ${block.enabled ? '' : 'disabled'}" title="${escapeHtml(block.content)}">
+                <span class="prompt-scope-badge scope-${scope}">${SCOPE_LABELS[scope]}</span>
+                <span class="prompt-block-name">${escapeHtml(block.name || '(未命名)')}</span>
+            </div>
+        `)).join('');
 
-        const response = await fetch('/api/chats/save', { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody), cache: 'no-cache' });
-        if (!response.ok) {
-            throw new Error(`Server responded with ${response.status}: ${await response.text()}`);
-        }
-    } catch (error) {
-        console.error(`[${pluginName}] Error in saveSpecificChatMetadata for ${chatFileNameNoExt}`, error);
-        toastr.error(`保存聊天 "${chatFileNameNoExt}" 的提示词时发生错误: ${error.message}`);
-    }
+    return `
+        <div class="prompt-inherited-list">
+            ${itemsHtml || '<div class="prompt-inherited-empty">没有继承的提示词</div>'}
+        </div>
+    `;
 }
 
+function renderBlockList(mainPanel) {
+    const listElement = mainPanel.querySelector('.prompt-block-list');
+    const lastIndex = editorDraft.blocks.length - 1;
+    listElement.innerHTML = `
+        ${editorDraft.blocks.map((block, index) => `
+            <div class="prompt-block-item ${index === selectedBlockIndex ? 'active' : ''} ${block.enabled ? '' : 'disabled'}" data-block-index="${index}">
+                <input type="checkbox" class="prompt-block-toggle" title="启用/停用此区块" ${block.enabled ? 'checked' : ''}>
+                <span class="prompt-scope-badge scope-${editorScopeBadge()}">${SCOPE_LABELS[editorScopeBadge()]}</span>
+                <span class="prompt-block-name">${escapeHtml(block.name || '(未命名)')}</span>
+                <i class="fa-solid fa-arrow-up prompt-block-action" data-action="up" title="上移" ${index === 0 ? 'data-disabled="true"' : ''}></i>
+                <i class="fa-solid fa-arrow-down prompt-block-action" data-action="down" title="下移" ${index === lastIndex ? 'data-disabled="true"' : ''}></i>
+                <i class="fa-solid fa-trash-can prompt-block-action" data-action="delete" title="删除"></i>
+            </div>
+        `).join('')}
+        <div class="prompt-block-add menu_button"><i class="fa-solid fa-plus"></i> 添加区块</div>
+    `;
+    scheduleEditorTokenCount(mainPanel);
+}
+
+function editorScopeBadge() {
+    if (currentViewingScope === 'owner') return getCurrentOwner()?.type || 'character';
+    return currentViewingScope;
+}
+
+function selectPromptBlock(mainPanel, index) {
+    selectedBlockIndex = Math.max(0, Math.min(index, editorDraft.blocks.length - 1));
+    const block = editorDraft.blocks[selectedBlockIndex];
+    mainPanel.querySelector('#custom-prompt-textarea').value = block.content;
+    mainPanel.querySelector('#custom-prompt-block-name').value = block.name;
+    findMatchIndex = -1;
+    refreshCodeEditor(mainPanel);
+    renderBlockList(mainPanel);
+}
+
+function handleBlockListClick(event, mainPanel) {
+    const target = event.target;
+    if (target.closest('.prompt-block-add')) {
+        editorDraft.blocks.push(createPromptBlock(`区块 ${editorDraft.blocks.length + 1}`));
+        selectPromptBlock(mainPanel, editorDraft.blocks.length - 1);
+        mainPanel.querySelector('#custom-prompt-block-name').select();
+        return;
+    }
+
+    const item = target.closest('.prompt-block-item');
+    if (!item) return;
+    const index = Number(item.dataset.blockIndex);
+    const blocks = editorDraft.blocks;
+
+    if (target.classList.contains('prompt-block-toggle')) {
+        blocks[index].enabled = target.checked;
+        item.classList.toggle('disabled', !target.checked);
+        scheduleEditorTokenCount(mainPanel);
+        return;
+    }
+
+    const action = target.closest('.prompt-block-action');
+    if (!action) {
+        if (index !== selectedBlockIndex) selectPromptBlock(mainPanel, index);
+        return;
+    }
+    if (action.dataset.disabled) return;
+
+    switch (action.dataset.action) {
+        case 'up':
+        case 'down': {
+            const swapIndex = action.dataset.action === 'up' ? index - 1 : index + 1;
+            [blocks[index], blocks[swapIndex]] = [blocks[swapIndex], blocks[index]];
+            // Keep the same block selected after it moved
+            if (selectedBlockIndex === index) selectedBlockIndex = swapIndex;
+            else if (selectedBlockIndex === swapIndex) selectedBlockIndex = index;
+            renderBlockList(mainPanel);
+            break;
+        }
+        case 'delete':
+            blocks.splice(index, 1);
+            if (blocks.length === 0) blocks.push(createPromptBlock('默认'));
+            selectPromptBlock(mainPanel, index <= selectedBlockIndex ? selectedBlockIndex - 1 : selectedBlockIndex);
+            break;
+    }
+}
+
+function renderOriginNoteHtml(origin) {
+    // An origin copied from the parent chat describes the parent, not this chat
+    if (!origin || (origin.chatId && origin.chatId !== currentViewingChatFile)) return '';
+    const parentText = origin.parent ? `，来自 "${escapeHtml(origin.parent)}"` : '';
+    const timeText = origin.timestamp ? ` · ${new Date(origin.timestamp).toLocaleString()}` : '';
+    return `
+        <p class="prompt-origin-note">
+            <i class="fa-solid fa-code-branch"></i>
+            ${CHAT_ORIGIN_LABELS[origin.type]}${parentText}: ${CARRY_OVER_RESULT_LABELS[origin.policy]}${timeText}
+        </p>
+    `;
+}
+
+function renderRulesSectionHtml(rules) {
+    const context = getContext();
+    // A chat picked in the global browser may belong to another group than the open chat
+    const groupId = currentViewingScope === 'chat' ? findCachedChat(currentViewingChatFile, currentViewingOwnerKey)?.groupId : context.groupId;
+    const group = groupId ? context.groups?.find(g => g.id === groupId) : null;
+    const membersHtml = group ? `
+        <div class="prompt-rules-members">
+            <span>仅在以下成员发言时触发 (不选则不限):</span>
+            ${(group.members || []).map(avatar => {
+                const member = context.characters.find(character => character.avatar === avatar);
+                return `
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="prompt-rule-member" value="${escapeHtml(avatar)}" ${rules.members.includes(avatar) ? 'checked' : ''}>
+                        <span>${escapeHtml(member?.name || avatar)}</span>
+                    </label>
+                `;
+            }).join('')}
+        </div>
+    ` : '';
+    const hasRules = JSON.stringify(rules) !== JSON.stringify(normalizeActivationRules(null));
+
+    return `
+        <details class="prompt-rules-section" ${hasRules ? 'open' : ''}>
+            <summary>触发条件 <span class="prompt-rules-status"></span></summary>
+            <div class="prompt-rules-grid">
+                <label>每 N 条消息触发一次 (0 为不限)
+                    <input id="custom-prompt-rule-every" class="text_pole" type="number" min="0" step="1" value="${rules.everyN}">
+                </label>
+                <label>消息序号超过 X 后触发 (0 为不限)
+                    <input id="custom-prompt-rule-after" class="text_pole" type="number" min="0" step="1" value="${rules.afterIndex}">
+                </label>
+                <label>触发概率 (%)
+                    <input id="custom-prompt-rule-probability" class="text_pole" type="number" min="0" max="100" step="1" value="${rules.probability}">
+                </label>
+                <label>扫描最近消息条数
+                    <input id="custom-prompt-rule-depth" class="text_pole" type="number" min="1" step="1" value="${rules.scanDepth}">
+                </label>
+                <label class="prompt-rules-wide">关键词 (逗号分隔，出现任意一个即可)
+                    <input id="custom-prompt-rule-keywords" class="text_pole" type="text" value="${escapeHtml(rules.keywords)}">
+                </label>
+                <label class="prompt-rules-wide">正则表达式 (可写成 /pattern/flags)
+                    <input id="custom-prompt-rule-regex" class="text_pole" type="text" value="${escapeHtml(rules.regex)}">
+                </label>
+            </div>
+            ${membersHtml}
+        </details>
+    `;
+}
+
+function readRulesControls(mainPanel) {
+    return normalizeActivationRules({
+        everyN: mainPanel.querySelector('#custom-prompt-rule-every').value,
+        afterIndex: mainPanel.querySelector('#custom-prompt-rule-after').value,
+        probability: mainPanel.querySelector('#custom-prompt-rule-probability').value,
+        scanDepth: mainPanel.querySelector('#custom-prompt-rule-depth').value,
+        keywords: mainPanel.querySelector('#custom-prompt-rule-keywords').value,
+        regex: mainPanel.querySelector('#custom-prompt-rule-regex').value,
+        members: [...mainPanel.querySelectorAll('.prompt-rule-member:checked')].map(checkbox => checkbox.value),
+    });
+}
+
+/**
+ * Shows whether the entry in the editor would fire on the next turn of the open chat.
+ */
+function updateRulesStatus(mainPanel, isActiveChat) {
+    const statusElement = mainPanel.querySelector('.prompt-rules-status');
+    if (!statusElement) return;
+
+    if (currentViewingScope === 'chat' && !isActiveChat) {
+        statusElement.textContent = '(仅能预测当前打开的聊天)';
+        statusElement.className = 'prompt-rules-status';
+        return;
+    }
+    const context = getContext();
+    const evaluation = evaluateActivationRules(editorDraft.rules, { chat: context.chat || chat, isGroup: !!context.groupId });
+    let text;
+    if (!evaluation.fires) {
+        text = `✗ 下一轮不会触发: ${evaluation.reason}`;
+    } else if (evaluation.dependsOnMember) {
+        text = '? 下一轮是否触发取决于发言的成员';
+    } else if (evaluation.chance < 100) {
+        text = `~ 下一轮有 ${evaluation.chance}% 的概率触发`;
+    } else {
+        text = '✓ 下一轮会触发';
+    }
+    statusElement.textContent = text;
+    statusElement.className = `prompt-rules-status ${evaluation.fires ? 'fires' : 'blocked'}`;
+}
+
+/**
+ * Reads the injection controls of the editor.
+ * @param {HTMLElement} mainPanel
+ * @returns {{position: number, depth: number, role: number, scan: boolean}}
+ */
+function readInjectionControls(mainPanel) {
+    return getInjectionSettings({
+        position: Number(mainPanel.querySelector('#custom-prompt-position').value),
+        depth: Number(mainPanel.querySelector('#custom-prompt-depth').value),
+        role: Number(mainPanel.querySelector('#custom-prompt-role').value),
+        scan: mainPanel.querySelector('#custom-prompt-scan').checked,
+    });
+}
+
+function updateInjectionControlsState(mainPanel) {
+    const settings = readInjectionControls(mainPanel);
+    const isInChat = settings.position === extension_prompt_types.IN_CHAT;
+    // Depth and role only have a meaning for in-chat injections
+    mainPanel.querySelector('#custom-prompt-depth').disabled = !isInChat;
+    mainPanel.querySelector('#custom-prompt-role').disabled = !isInChat;
+    mainPanel.querySelector('.prompt-editor-info').textContent = describeInjection(settings);
+}
+
+async function loadOtherChatsInBackground() {
+    if (isLoadingOtherChats) return;
+    isLoadingOtherChats = true;
+    scanAbortController = new AbortController();
+    const { signal } = scanAbortController;
+    renderChatListPanel();
+
+    const context = getContext();
+    const currentContextChatIdNoExt = String(context.chatId || '').replace('.jsonl', '');
+    const mergeIntoCache = (chats) => {
+        const existingFileNames = new Set(allChatsPromptData.map(c => c.fileName));
+        chats.forEach(chatData => {
+            if (!existingFileNames.has(chatData.fileName)) {
+                allChatsPromptData.push(chatData);
+            }
+        });
+        allChatsPromptData.sort((a, b) => {
+            if (a.fileName === currentContextChatIdNoExt) return -1;
+            if (b.fileName === currentContextChatIdNoExt) return 1;
+            return a.fileName.localeCompare(b.fileName);
+        });
+        scheduleChatListRender();
+    };
+
+    // pass true to skip current chat
+    currentScanPromise = getAllChatDataForCurrentContext(true, { signal, onProgress: mergeIntoCache });
+    const otherChatsData = await currentScanPromise;
+    if (signal.aborted) return;
+    mergeIntoCache(otherChatsData);
+
+    currentScanPromise = null;
+    isLoadingOtherChats = false;
+    renderChatListPanel();
+
+    // An import preview opened while loading can now list every chat
+    const transferPanel = modalBodyElement.querySelector('.prompt-transfer-panel');
+    if (transferPanel && pendingImport) renderImportMapping(transferPanel);
+}
+
+let chatListRenderTimer = null;
+/**
+ * Re-renders the sidebar at most a few times per second while a scan reports progress.
+ */
+function scheduleChatListRender() {
+    if (chatListRenderTimer) return;
+    chatListRenderTimer = setTimeout(() => {
+        chatListRenderTimer = null;
+        const listElement = modalBodyElement?.querySelector('.prompt-chat-list-items');
+        if (listElement) chatListScrollTop = listElement.scrollTop;
+        if (modalBodyElement && !bulkProgress) renderChatListPanel();
+    }, 250);
+}
+
+// =================================================================
+//                   MODAL EVENT HANDLER & SAVE LOGIC
+// =================================================================
+
+async function handleModalClick(event) {
+    const target = event.target;
+    // A tap next to the open drawer only closes it
+    if (isNarrowLayout() && !modalDialogElement.classList.contains('sidebar-closed') && !target.closest('.prompt-chat-list-panel')) {
+        closeDrawerOnNarrowLayout();
+        return;
+    }
+    if (target.closest('.prompt-chat-list-toolbar')) {
+        await handleChatListToolbarClick(event);
+        return;
+    }
+    if (target.classList.contains('prompt-chat-select')) {
+        const chatFile = target.closest('.prompt-chat-list-item').dataset.chatFile;
+        if (target.checked) selectedChatFiles.add(chatFile);
+        else selectedChatFiles.delete(chatFile);
+        chatListScrollTop = target.closest('.prompt-chat-list-items').scrollTop;
+        renderChatListPanel();
+        return;
+    }
+    const scopeItem = target.closest('.prompt-scope-item');
+    if (scopeItem) {
+        if (scopeItem.dataset.scope !== currentViewingScope) {
+            chatListScrollTop = scopeItem.parentElement.scrollTop;
+            if (!await confirmLeaveEditor()) return;
+            renderScopeView(scopeItem.dataset.scope);
+        }
+        closeDrawerOnNarrowLayout();
+        return;
+    }
+    const chatListItem = target.closest('.prompt-chat-list-item');
+    if (chatListItem) {
+        const chatFile = String(chatListItem.dataset.chatFile).replace('.jsonl','');
+        const ownerKey = chatListItem.dataset.ownerKey || getCurrentOwnerKey();
+        if (chatFile && (chatFile !== currentViewingChatFile || ownerKey !== currentViewingOwnerKey || currentViewingScope !== 'chat')) {
+            chatListScrollTop = chatListItem.parentElement.scrollTop;
+            if (!await confirmLeaveEditor()) return;
+            await renderPromptView(chatFile, ownerKey);
+        }
+        closeDrawerOnNarrowLayout();
+        return;
+    }
+}
+
+function isViewingActiveChat() {
+    const context = getContext();
+    return currentViewingScope === 'chat'
+        && currentViewingChatFile === String(context.chatId || '').replace('.jsonl', '')
+        && currentViewingOwnerKey === getCurrentOwnerKey(context);
+}
+
+/**
+ * Whether the editor shows one of the given chats of the current character/group.
+ * @param {Iterable<string>} chatFiles Chat file names without extension.
+ */
+function isViewingAnyChatOf(chatFiles) {
+    return currentViewingScope === 'chat'
+        && currentViewingOwnerKey === getCurrentOwnerKey()
+        && [...chatFiles].includes(currentViewingChatFile);
+}
+
+/**
+ * Builds the entry to store from the draft and the injection controls of the editor.
+ * @param {HTMLElement} mainPanel
+ */
+function buildEntryFromEditor(mainPanel) {
+    return {
+        blocks: editorDraft.blocks.map(block => ({ ...block })),
+        ...readInjectionControls(mainPanel),
+        inherit: editorDraft.inherit,
+        enabled: editorDraft.enabled,
+        rules: { ...editorDraft.rules, members: [...editorDraft.rules.members] },
+        origin: editorDraft.origin,
+        history: structuredClone(editorDraft.history),
+    };
+}
+
+/**
+ * Writes an entry to the scope or chat currently shown in the editor.
+ * Global and character/group defaults live in extension_settings.
+ * @returns {Promise<boolean>} Whether the entry was saved.
+ */
+async function persistEditorEntry(entry) {
+    if (currentViewingScope !== 'chat') {
+        setScopeEntry(currentViewingScope, getCurrentOwner(), entry);
+        applyOrClearCustomPrompt();
+        return true;
+    }
+    const saved = await persistChatEntry(currentViewingChatFile, entry, { ownerKey: currentViewingOwnerKey });
+    const chatData = findCachedChat(currentViewingChatFile, currentViewingOwnerKey);
+    if (!saved && chatData?.conflict) {
+        renderSaveConflict(chatData, entry);
+    }
+    return saved;
+}
+
+/**
+ * Explains in the editor that a save was refused because the chat's prompt was
+ * changed elsewhere, and lets the user compare, overwrite or reload.
+ */
+function renderSaveConflict(chatData, entry) {
+    const editorContainer = modalBodyElement.querySelector('.prompt-editor-container');
+    if (!editorContainer) return;
+    editorContainer.querySelector('.prompt-save-conflict')?.remove();
+
+    const banner = document.createElement('div');
+    banner.className = 'prompt-save-conflict';
+    banner.innerHTML = `
+        <div><i class="fa-solid fa-triangle-exclamation"></i> 未保存: 聊天 "${escapeHtml(chatData.fileName)}" 的提示词在打开后已在其他地方 (例如另一个标签页) 被修改。</div>
+        <div class="prompt-save-conflict-actions">
+            <button class="menu_button" data-conflict-action="diff">查看差异</button>
+            <button class="menu_button" data-conflict-action="overwrite">仍然覆盖</button>
+            <button class="menu_button" data-conflict-action="reload">放弃修改并加载服务器版本</button>
+        </div>
+    `;
+    banner.addEventListener('click', async (e) => {
+        const action = e.target.closest('[data-conflict-action]')?.dataset.conflictAction;
+        const serverEntry = chatData.conflict?.serverEntry;
+        if (!action || !serverEntry) return;
+
+        if (action === 'diff') {
+            const diffElement = document.createElement('div');
+            diffElement.className = 'prompt-diff';
+            appendLineDiff(diffElement, computeLineDiff(flattenPromptBlocks(serverEntry.blocks), flattenPromptBlocks(entry.blocks)));
+            await callGenericPopup(diffElement, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+        } else if (action === 'overwrite') {
+            if (await persistChatEntry(chatData.fileName, entry, { overwrite: true, ownerKey: chatData.ownerKey })) {
+                banner.remove();
+                editorDraft.history = structuredClone(chatData.metadata[METADATA_KEY].history);
+                markEditorClean(editorContainer.closest('.prompt-main-panel'));
+                toastr.success('提示词已覆盖保存！');
+                renderChatListPanel();
+            }
+        } else if (action === 'reload') {
+            chatData.metadata = { ...chatData.metadata, [METADATA_KEY]: serverEntry };
+            chatData.conflict = null;
+            rememberChatSnapshot(chatData);
+            await renderPromptView(chatData.fileName, chatData.ownerKey);
+        }
+    });
+    editorContainer.prepend(banner);
+}
+
+/**
+ * Writes a prompt entry to a chat's metadata, through the context for the open
+ * chat and through its chat file for any other chat. Other chats are written
+ * with their own character/group, which need not be the open one.
+ * @param {string} chatFileToModify Chat file name without extension.
+ * @param {object} entry
+ * @param {{overwrite?: boolean, ownerKey?: string}} [options] `ownerKey` defaults to the
+ *        current character/group; `overwrite` is passed on to saveChatPromptEntry.
+ * @returns {Promise<boolean>} Whether the entry was saved.
+ */
+async function persistChatEntry(chatFileToModify, entry, { ownerKey = getCurrentOwnerKey(), ...options } = {}) {
+    const chatDataInCache = findCachedChat(chatFileToModify, ownerKey);
+    if (!chatDataInCache) {
+        toastr.error('错误: 找不到聊天缓存数据。');
+        return false;
+    }
+
+    try {
+        const context = getContext();
+        if (chatFileToModify === String(context.chatId || '').replace('.jsonl', '') && ownerKey === getCurrentOwnerKey(context)) {
+            // It's the currently active chat, use the efficient context update
+            chatDataInCache.metadata[METADATA_KEY] = entry;
+            context.updateChatMetadata({
+                [METADATA_KEY]: entry
+            });
+            saveMetadataDebounced();
+            // Apply the change immediately
+            applyOrClearCustomPrompt();
+            return true;
+        }
+        // It's a different chat, save it to its specific file
+        return await saveChatPromptEntry(chatDataInCache, entry, options);
+    } catch (error) {
+        console.error(`[${pluginName}] Failed to save prompt:`, error);
+        toastr.error('保存提示词失败，请检查控制台。');
+        return false;
+    }
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the entry was saved.
+ */
+async function handleSavePrompt() {
+    const textarea = document.getElementById('custom-prompt-textarea');
+    if (!textarea || !editorDraft) return false;
+
+    // Store a clean copy so later edits of the draft do not leak into the cache
+    const mainPanel = textarea.closest('.prompt-main-panel');
+    const entry = buildEntryFromEditor(mainPanel);
+    appendRevision(entry);
+
+    if (!await persistEditorEntry(entry)) return false;
+    // Saving to another chat merges in revisions stored there, so read the history back
+    const savedChat = currentViewingScope === 'chat' && findCachedChat(currentViewingChatFile, currentViewingOwnerKey);
+    editorDraft.history = structuredClone(savedChat ? normalizePromptEntry(savedChat.metadata[METADATA_KEY]).history : entry.history);
+    markEditorClean(mainPanel);
+
+    toastr.success(currentViewingScope === 'chat' ? '提示词已成功保存！' : '默认提示词已成功保存！');
+    renderChatListPanel(); // Re-render to show/hide the checkmark indicator
+    return true;
+}
+
+// =================================================================
+//                      UNSAVED CHANGES & AUTOSAVE
+// =================================================================
+
+function getEditorFingerprint(mainPanel) {
+    return getEntryFingerprint(buildEntryFromEditor(mainPanel));
+}
+
+/**
+ * Takes what the editor shows now as the saved state.
+ */
+function markEditorClean(mainPanel) {
+    editorBaselineFingerprint = getEditorFingerprint(mainPanel);
+    updateDirtyIndicator(mainPanel);
+}
+
+function isEditorDirty() {
+    const mainPanel = modalBodyElement?.querySelector('.prompt-main-panel');
+    if (!editorDraft || !mainPanel?.querySelector('.prompt-editor-container')) return false;
+    return getEditorFingerprint(mainPanel) !== editorBaselineFingerprint;
+}
+
+function updateDirtyIndicator(mainPanel, text = null) {
+    const indicator = mainPanel.querySelector('.prompt-dirty-indicator');
+    if (!indicator) return;
+    const isDirty = isEditorDirty();
+    indicator.textContent = text ?? (isDirty ? '● 有未保存的修改' : '');
+    indicator.classList.toggle('dirty', isDirty);
+}
+
+function handleEditorChange(mainPanel) {
+    updateDirtyIndicator(mainPanel);
+    if (getPluginSettings().autosave && isViewingActiveChat() && isEditorDirty()) {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(() => autosaveEditor(mainPanel), AUTOSAVE_DELAY_MS);
+    }
+}
+
+/**
+ * Saves the open chat's prompt from the editor through the chat metadata. Unlike
+ * a manual save it adds no revision, so pauses in typing do not fill the history.
+ * @returns {Promise<boolean>} Whether the editor is saved now.
+ */
+async function autosaveEditor(mainPanel) {
+    clearTimeout(autosaveTimer);
+    if (!isViewingActiveChat() || !mainPanel.isConnected) return false;
+    if (!isEditorDirty()) return true;
+
+    const saved = await persistChatEntry(currentViewingChatFile, buildEntryFromEditor(mainPanel), { ownerKey: currentViewingOwnerKey });
+    if (saved) {
+        markEditorClean(mainPanel);
+        updateDirtyIndicator(mainPanel, `已自动保存 ${new Date().toLocaleTimeString()}`);
+        scheduleChatListRender();
+    }
+    return saved;
+}
+
+/**
+ * Lets the user save or discard unsaved edits before the editor is left.
+ * @returns {Promise<boolean>} Whether the editor may be left.
+ */
+async function confirmLeaveEditor() {
+    // Escape also reaches the modal while the prompt below is open
+    if (isConfirmingLeave) return false;
+    if (!isEditorDirty()) return true;
+
+    const mainPanel = modalBodyElement.querySelector('.prompt-main-panel');
+    if (getPluginSettings().autosave && isViewingActiveChat()) {
+        return await autosaveEditor(mainPanel);
+    }
+
+    isConfirmingLeave = true;
+    try {
+        const result = await callGenericPopup('当前提示词有未保存的修改，要保存吗？', POPUP_TYPE.CONFIRM, '', {
+            okButton: '保存',
+            cancelButton: '放弃修改',
+            customButtons: ['继续编辑'],
+        });
+        if (result === POPUP_RESULT.AFFIRMATIVE) {
+            closeSubPanels(mainPanel);
+            return await handleSavePrompt();
+        }
+        return result === POPUP_RESULT.NEGATIVE;
+    } finally {
+        isConfirmingLeave = false;
+    }
+}
+
+// =================================================================
+//                      DRY-RUN PREVIEW
+// =================================================================
+
+/**
+ * Assembles the prompt of the next generation in the open chat without sending
+ * it, by running a dry-run generation and catching the prompt it builds.
+ * @returns {Promise<{type: 'chat', messages: {role: string, content: string}[]}|{type: 'text', prompt: string}|null>}
+ */
+async function captureDryRunPrompt() {
+    const context = getContext();
+    let captured = null;
+    const onChatCompletionReady = (data) => {
+        if (!data?.dryRun) return;
+        captured = {
+            type: 'chat',
+            messages: (data.chat || []).map(message => ({
+                role: String(message.role || ''),
+                content: typeof message.content === 'string'
+                    ? message.content
+                    : (Array.isArray(message.content) ? message.content.map(part => part?.text || '').join('') : ''),
+            })),
+        };
+    };
+    const onTextPromptReady = (data) => {
+        if (data?.dryRun) captured = { type: 'text', prompt: String(data.prompt || '') };
+    };
+
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, onChatCompletionReady);
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, onTextPromptReady);
+    try {
+        await context.generate('normal', {}, true);
+    } finally {
+        eventSource.removeListener(event_types.CHAT_COMPLETION_PROMPT_READY, onChatCompletionReady);
+        eventSource.removeListener(event_types.GENERATE_AFTER_COMBINE_PROMPTS, onTextPromptReady);
+    }
+    return captured;
+}
+
+/**
+ * Appends text to an element, wrapping every occurrence of an injected block in a mark.
+ * @returns {number} How many occurrences were marked.
+ */
+function appendHighlightedText(element, text, blocks) {
+    const ranges = [];
+    for (const block of blocks) {
+        if (!block.text) continue;
+        for (let index = text.indexOf(block.text); index !== -1; index = text.indexOf(block.text, index + block.text.length)) {
+            ranges.push({ start: index, end: index + block.text.length, block });
+        }
+    }
+    ranges.sort((a, b) => a.start - b.start);
+
+    let cursor = 0;
+    let marked = 0;
+    for (const range of ranges) {
+        if (range.start < cursor) continue; // Overlaps a block that was already marked
+        element.append(text.slice(cursor, range.start));
+        const mark = document.createElement('mark');
+        mark.className = 'prompt-dryrun-mark';
+        mark.title = `${SCOPE_LABELS[range.block.scope] || range.block.scope} · ${range.block.name}`;
+        mark.textContent = text.slice(range.start, range.end);
+        element.append(mark);
+        cursor = range.end;
+        marked++;
+    }
+    element.append(text.slice(cursor));
+    return marked;
+}
+
+/**
+ * Shows what the next generation of the open chat would send, with the
+ * injected prompt blocks highlighted among the surrounding messages.
+ * @param {HTMLElement} mainPanel
+ */
+async function renderDryRunPanel(mainPanel) {
+    const panel = openSubPanel(mainPanel, 'prompt-dryrun-panel', (e) => {
+        if (e.target.closest('.prompt-dryrun-refresh')) renderDryRunPanel(mainPanel);
+    });
+    panel.innerHTML = `
+        <div class="prompt-sub-panel-header">
+            <button class="menu_button prompt-sub-panel-back"><i class="fa-solid fa-arrow-left"></i> 返回编辑</button>
+            <span class="prompt-dryrun-summary">正在模拟生成...</span>
+            <button class="menu_button prompt-dryrun-refresh" title="重新模拟"><i class="fa-solid fa-rotate"></i></button>
+        </div>
+        <div class="prompt-dryrun-notes"></div>
+        <div class="prompt-dryrun-body"><div class="spinner"></div></div>
+    `;
+
+    const notes = [];
+    if (!isViewingActiveChat()) notes.push('预览的是当前打开的聊天，而不是正在查看的提示词。');
+    if (isEditorDirty()) notes.push('编辑器中有未保存的修改，预览使用的是已保存的提示词。');
+    panel.querySelector('.prompt-dryrun-notes').textContent = notes.join(' ');
+
+    let captured;
+    try {
+        captured = await captureDryRunPrompt();
+    } catch (error) {
+        console.error(`[${pluginName}] Dry run failed:`, error);
+    }
+    // The panel may have been closed or replaced while the dry run was running
+    if (!panel.isConnected) return;
+
+    const body = panel.querySelector('.prompt-dryrun-body');
+    const summary = panel.querySelector('.prompt-dryrun-summary');
+    body.replaceChildren();
+    if (!captured) {
+        summary.textContent = '无法获取发送内容 (可能正在生成，或当前 API 不支持模拟生成)。';
+        return;
+    }
+
+    const blocks = injectedPromptBlocks;
+    if (captured.type === 'chat') {
+        const markedIndexes = [];
+        captured.messages.forEach((message, index) => {
+            const item = document.createElement('div');
+            item.className = 'prompt-dryrun-message';
+            const header = document.createElement('div');
+            header.className = 'prompt-dryrun-role';
+            header.textContent = `#${index + 1} · ${message.role}`;
+            const content = document.createElement('div');
+            content.className = 'prompt-dryrun-content';
+            if (appendHighlightedText(content, message.content, blocks) > 0) {
+                item.classList.add('highlighted');
+                markedIndexes.push(index);
+            }
+            item.append(header, content);
+            body.appendChild(item);
+        });
+        const total = captured.messages.length;
+        summary.textContent = markedIndexes.length > 0
+            ? `共 ${total} 条消息，自定义提示词位于第 ${markedIndexes.map(index => `${index + 1} (倒数第 ${total - index})`).join('、')} 条`
+            : `共 ${total} 条消息，其中没有找到自定义提示词`;
+    } else {
+        const content = document.createElement('div');
+        content.className = 'prompt-dryrun-content';
+        const marked = appendHighlightedText(content, captured.prompt, blocks);
+        body.appendChild(content);
+        summary.textContent = marked > 0
+            ? `文本补全提示词，共 ${captured.prompt.length} 字符，找到 ${marked} 处自定义提示词`
+            : '文本补全提示词，其中没有找到自定义提示词';
+    }
+    if (blocks.length === 0) {
+        summary.textContent += ' (本轮没有注入任何区块，可能被停用或未满足触发条件)';
+    }
+
+    body.querySelector('.prompt-dryrun-mark')?.scrollIntoView({ block: 'center' });
+}
+
+// =================================================================
+//                      MESSAGE SNAPSHOTS
+// =================================================================
+
+/**
+ * Captures what the current injection sends, so the reply of a generation
+ * can later be traced back to the exact prompt.
+ * @returns {{hash: string, timestamp: number, blocks: typeof injectedPromptBlocks}|null} Null when nothing is injected.
+ */
+function createPromptSnapshot() {
+    if (injectedPromptBlocks.length === 0) return null;
+    const blocks = structuredClone(injectedPromptBlocks);
+    const hash = getStringHash(JSON.stringify(blocks.map(({ scope, name, text }) => [scope, name, text]))).toString(16);
+    return { hash, timestamp: Date.now(), blocks };
+}
+
+/**
+ * Returns the injected blocks of a message's snapshot. A snapshot the same as
+ * one of an earlier message is stored without them, see recordMessageSnapshot.
+ * @returns {typeof injectedPromptBlocks|null} Null when no earlier message holds them anymore.
+ */
+function getSnapshotBlocks(messageId, snapshot) {
+    if (snapshot.blocks) return snapshot.blocks;
+    const chatMessages = getContext().chat;
+    for (let index = messageId - 1; index >= 0; index--) {
+        const message = chatMessages[index];
+        const snapshots = [message?.extra, ...(message?.swipe_info || []).map(swipeInfo => swipeInfo?.extra)]
+            .map(extra => extra?.[MESSAGE_SNAPSHOT_KEY]);
+        const stored = snapshots.find(candidate => candidate?.hash === snapshot.hash && candidate.blocks);
+        if (stored) return stored.blocks;
+    }
+    return null;
+}
+
+/**
+ * Stores the snapshot of the running generation in the received message,
+ * including the extra data of its current swipe. The injected text is left out
+ * when an earlier message already holds the same, as it is saved with every message.
+ */
+function recordMessageSnapshot(messageId) {
+    const message = getContext().chat[messageId];
+    if (!generationSnapshot || !message || message.is_user) return;
+
+    const { hash, timestamp } = generationSnapshot;
+    const isRepeated = getSnapshotBlocks(messageId, { hash }) !== null;
+    const snapshot = isRepeated ? { hash, timestamp } : structuredClone(generationSnapshot);
+    message.extra = message.extra || {};
+    message.extra[MESSAGE_SNAPSHOT_KEY] = snapshot;
+    const swipeInfo = message.swipe_info?.[message.swipe_id];
+    if (swipeInfo) {
+        swipeInfo.extra = swipeInfo.extra || {};
+        swipeInfo.extra[MESSAGE_SNAPSHOT_KEY] = structuredClone(snapshot);
+    }
+    renderMessageSnapshotIndicator(messageId);
+}
+
+/**
+ * Adds the indicator next to the name of a message that has a snapshot, or removes
+ * it when the message (e.g. after a swipe) has none.
+ */
+function renderMessageSnapshotIndicator(messageId) {
+    const messageElement = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (!messageElement) return;
+
+    const snapshot = getContext().chat[messageId]?.extra?.[MESSAGE_SNAPSHOT_KEY];
+    let indicator = messageElement.querySelector('.prompt-snapshot-indicator');
+    if (!snapshot) {
+        indicator?.remove();
+        return;
+    }
+    if (!indicator) {
+        indicator = document.createElement('i');
+        indicator.className = 'fa-solid fa-scroll prompt-snapshot-indicator';
+        indicator.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showMessageSnapshot(Number(messageElement.getAttribute('mesid')));
+        });
+        messageElement.querySelector('.name_text')?.after(indicator);
+    }
+    indicator.title = `生成时使用了自定义提示词 (#${snapshot.hash})，点击查看`;
+}
+
+function renderAllMessageSnapshotIndicators() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(element => {
+        renderMessageSnapshotIndicator(Number(element.getAttribute('mesid')));
+    });
+}
+
+/**
+ * Shows the prompt a message was generated with, and how it differs from
+ * what the open chat injects now.
+ */
+async function showMessageSnapshot(messageId) {
+    const snapshot = getContext().chat[messageId]?.extra?.[MESSAGE_SNAPSHOT_KEY];
+    if (!snapshot) return;
+
+    const container = document.createElement('div');
+    container.className = 'prompt-expanded-preview prompt-snapshot-view';
+    const note = document.createElement('p');
+    note.className = 'prompt-expanded-preview-note';
+    note.textContent = `#${messageId} 生成于 ${new Date(snapshot.timestamp).toLocaleString()} · 提示词 #${snapshot.hash}`;
+    container.append(note);
+
+    const blocks = getSnapshotBlocks(messageId, snapshot);
+    if (!blocks) {
+        const missing = document.createElement('p');
+        missing.textContent = '提示词文本保存在更早的消息中，该消息已被删除。';
+        container.append(missing);
+        await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+        return;
+    }
+    for (const block of blocks) {
+        const title = document.createElement('h4');
+        const badge = document.createElement('span');
+        badge.className = `prompt-scope-badge scope-${block.scope}`;
+        badge.textContent = SCOPE_LABELS[block.scope] || block.scope;
+        title.append(badge, ` ${block.name}`);
+        if (block.revision) {
+            const revision = document.createElement('small');
+            revision.textContent = ` (版本 ${new Date(block.revision).toLocaleString()})`;
+            title.append(revision);
+        }
+        const text = document.createElement('pre');
+        text.textContent = block.text;
+        container.append(title, text);
+    }
+
+    // Compare with the injection for the next generation in the open chat
+    applyOrClearCustomPrompt();
+    const current = createPromptSnapshot();
+    const toText = (blocks) => blocks.map(block => `### ${block.name}\n${block.text}`).join('\n\n');
+    const comparison = document.createElement('h4');
+    comparison.textContent = '与当前提示词对比';
+    const diffElement = document.createElement('div');
+    diffElement.className = 'prompt-diff';
+    if (current?.hash === snapshot.hash) {
+        diffElement.textContent = '当前注入的提示词与此相同。';
+    } else {
+        appendLineDiff(diffElement, computeLineDiff(toText(blocks), toText(current?.blocks || [])));
+    }
+    container.append(comparison, diffElement);
+
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
+
+// =================================================================
+//                      TEMPLATE LIBRARY
+// =================================================================
+
+function getTemplates() {
+    return getPluginSettings().templates;
+}
+
+/**
+ * Returns the distinct placeholder names of a template, in order of appearance.
+ */
+function getTemplatePlaceholders(content) {
+    return [...new Set([...content.matchAll(TEMPLATE_PLACEHOLDER_REGEX)].map(match => match[1].trim()))];
+}
+
+function parseTemplateTags(text) {
+    return [...new Set(String(text).split(/[,，]/).map(tag => tag.trim()).filter(Boolean))];
+}
+
+async function saveBlockAsTemplate() {
+    const block = editorDraft?.blocks[selectedBlockIndex];
+    if (!block || block.content.trim() === '') {
+        toastr.warning('此区块没有文本，无法存为模板。');
+        return;
+    }
+    const input = await callGenericPopup('模板名称:', POPUP_TYPE.INPUT, block.name || '');
+    if (input === null || input === undefined || input === false) return;
+    const name = String(input).trim();
+    if (!name) {
+        toastr.warning('模板名称不能为空。');
+        return;
+    }
+
+    getTemplates().push({ id: createBlockId(), name, tags: [], content: block.content });
+    saveSettingsDebounced();
+    toastr.success(`已存为模板 "${name}"，可在模板库中添加标签和 [[占位符]]。`);
+}
+
+/**
+ * Shows the template library on top of the editor: a filterable list on the
+ * left and the selected template's form on the right.
+ * @param {HTMLElement} mainPanel
+ */
+function renderTemplatePanel(mainPanel) {
+    const panel = openSubPanel(mainPanel, 'prompt-template-panel', (e) => handleTemplatePanelClick(e, mainPanel));
+    const templates = getTemplates();
+    if (!templates.some(template => template.id === selectedTemplateId)) {
+        selectedTemplateId = templates[0]?.id ?? null;
+    }
+
+    const filter = templateFilter.trim().toLowerCase();
+    const visibleTemplates = templates.filter(template => !filter
+        || template.name.toLowerCase().includes(filter)
+        || template.tags.some(tag => tag.toLowerCase().includes(filter)));
+    const itemsHtml = visibleTemplates.map(template => `
+        <div class="prompt-history-item prompt-template-item ${template.id === selectedTemplateId ? 'active' : ''}" data-template-id="${escapeHtml(template.id)}">
+            <div class="prompt-history-time">${escapeHtml(template.name || '(未命名)')}</div>
+            <div class="prompt-history-summary">${template.tags.map(tag => `<span class="prompt-template-tag">${escapeHtml(tag)}</span>`).join('')}</div>
+        </div>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="prompt-sub-panel-header">
+            <button class="menu_button prompt-sub-panel-back"><i class="fa-solid fa-arrow-left"></i> 返回编辑</button>
+            <span>模板库 (${templates.length})</span>
+            <button class="menu_button" data-template-action="new"><i class="fa-solid fa-plus"></i> 新建模板</button>
+        </div>
+        <div class="prompt-history-body">
+            <div class="prompt-history-list">
+                <input type="search" class="text_pole prompt-template-filter" placeholder="按名称或标签筛选...">
+                ${itemsHtml || `<div class="prompt-empty">${templates.length ? '没有匹配的模板。' : '模板库是空的。'}</div>`}
+            </div>
+            <div class="prompt-history-detail prompt-template-detail"></div>
+        </div>
+    `;
+
+    const filterInput = panel.querySelector('.prompt-template-filter');
+    filterInput.value = templateFilter;
+    filterInput.addEventListener('input', () => {
+        templateFilter = filterInput.value;
+        renderTemplatePanel(mainPanel);
+        const newFilterInput = mainPanel.querySelector('.prompt-template-filter');
+        newFilterInput.focus();
+        newFilterInput.setSelectionRange(newFilterInput.value.length, newFilterInput.value.length);
+    });
+
+    const template = templates.find(t => t.id === selectedTemplateId);
+    if (!template) return;
+
+    const detail = panel.querySelector('.prompt-template-detail');
+    detail.innerHTML = `
+        <input class="text_pole prompt-template-name" type="text" placeholder="模板名称">
+        <input class="text_pole prompt-template-tags" type="text" placeholder="标签，用逗号分隔">
+        <textarea class="text_pole prompt-template-content" placeholder="模板内容，用 [[占位符]] 标记插入时要填写的内容"></textarea>
+        <div class="prompt-template-placeholders"></div>
+        <div class="prompt-history-detail-header">
+            <button class="menu_button" data-template-action="insert" title="插入到编辑器的光标处">插入</button>
+            <button class="menu_button" data-template-action="replace" title="替换当前区块的全部文本">替换区块</button>
+            <button class="menu_button" data-template-action="save">保存模板</button>
+            <button class="menu_button" data-template-action="duplicate">复制</button>
+            <button class="menu_button" data-template-action="delete">删除</button>
+        </div>
+    `;
+    // Template text is user content, so it is set as values rather than markup
+    detail.querySelector('.prompt-template-name').value = template.name;
+    detail.querySelector('.prompt-template-tags').value = template.tags.join(', ');
+    const contentInput = detail.querySelector('.prompt-template-content');
+    contentInput.value = template.content;
+    const updatePlaceholders = () => {
+        const placeholders = getTemplatePlaceholders(contentInput.value);
+        detail.querySelector('.prompt-template-placeholders').textContent = placeholders.length
+            ? `占位符: ${placeholders.join('、')}`
+            : '没有占位符，插入时原样使用。';
+    };
+    contentInput.addEventListener('input', updatePlaceholders);
+    updatePlaceholders();
+}
+
+function readTemplateForm(panel) {
+    return {
+        name: panel.querySelector('.prompt-template-name').value.trim(),
+        tags: parseTemplateTags(panel.querySelector('.prompt-template-tags').value),
+        content: panel.querySelector('.prompt-template-content').value,
+    };
+}
+
+async function handleTemplatePanelClick(event, mainPanel) {
+    const target = event.target;
+    const panel = mainPanel.querySelector('.prompt-template-panel');
+    const templates = getTemplates();
+
+    const item = target.closest('.prompt-template-item');
+    if (item) {
+        selectedTemplateId = item.dataset.templateId;
+        renderTemplatePanel(mainPanel);
+        return;
+    }
+
+    const action = target.closest('[data-template-action]')?.dataset.templateAction;
+    if (!action) return;
+    const index = templates.findIndex(template => template.id === selectedTemplateId);
+
+    switch (action) {
+        case 'new': {
+            const template = { id: createBlockId(), name: '新模板', tags: [], content: '' };
+            templates.push(template);
+            selectedTemplateId = template.id;
+            templateFilter = '';
+            saveSettingsDebounced();
+            renderTemplatePanel(mainPanel);
+            panel.querySelector('.prompt-template-name')?.select();
+            break;
+        }
+        case 'save': {
+            if (index === -1) return;
+            const form = readTemplateForm(panel);
+            if (!form.name) {
+                toastr.warning('模板名称不能为空。');
+                return;
+            }
+            templates[index] = { ...templates[index], ...form };
+            saveSettingsDebounced();
+            toastr.success('模板已保存！');
+            renderTemplatePanel(mainPanel);
+            break;
+        }
+        case 'duplicate': {
+            if (index === -1) return;
+            const copy = { ...readTemplateForm(panel), id: createBlockId() };
+            copy.name = `${copy.name || '(未命名)'} (副本)`;
+            templates.splice(index + 1, 0, copy);
+            selectedTemplateId = copy.id;
+            saveSettingsDebounced();
+            renderTemplatePanel(mainPanel);
+            break;
+        }
+        case 'delete': {
+            if (index === -1) return;
+            const confirmed = await callGenericPopup(`确定要删除模板 "${escapeHtml(templates[index].name)}" 吗？`, POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            templates.splice(index, 1);
+            selectedTemplateId = null;
+            saveSettingsDebounced();
+            renderTemplatePanel(mainPanel);
+            break;
+        }
+        case 'insert':
+        case 'replace': {
+            const text = await fillTemplatePlaceholders(readTemplateForm(panel).content);
+            if (text === null) return;
+            insertTextIntoEditor(mainPanel, text, action === 'replace');
+            break;
+        }
+    }
+}
+
+/**
+ * Asks for a value for each placeholder of a template and returns the filled-in text.
+ * @returns {Promise<string|null>} null when the user cancelled.
+ */
+async function fillTemplatePlaceholders(content) {
+    const placeholders = getTemplatePlaceholders(content);
+    if (placeholders.length === 0) return content;
+
+    const form = document.createElement('div');
+    form.className = 'prompt-template-fill';
+    const heading = document.createElement('h3');
+    heading.textContent = '填写模板占位符';
+    form.appendChild(heading);
+    const inputs = placeholders.map(placeholder => {
+        const label = document.createElement('label');
+        label.textContent = placeholder;
+        const input = document.createElement('input');
+        input.className = 'text_pole';
+        input.type = 'text';
+        label.appendChild(input);
+        form.appendChild(label);
+        return input;
+    });
+
+    const confirmed = await callGenericPopup(form, POPUP_TYPE.CONFIRM, '', { okButton: '插入', cancelButton: '取消' });
+    if (!confirmed) return null;
+
+    const values = new Map(placeholders.map((placeholder, i) => [placeholder, inputs[i].value]));
+    return content.replace(TEMPLATE_PLACEHOLDER_REGEX, (match, name) => values.get(name.trim()) ?? match);
+}
+
+/**
+ * Puts text into the selected block of the editor, at the cursor or instead of
+ * the whole block, and returns to the editor.
+ */
+function insertTextIntoEditor(mainPanel, text, replaceBlock) {
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    if (replaceBlock) {
+        textarea.value = text;
+    } else {
+        textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+    }
+    // Let the editor's own listener update the draft
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    closeSubPanels(mainPanel);
+    textarea.focus();
+    toastr.success(replaceBlock ? '已用模板替换当前区块。' : '已插入模板。');
+}
+
+// =================================================================
+//                      CODE EDITOR
+// =================================================================
+
+/**
+ * The prompt textarea lies on top of a layer that draws the same text with
+ * macros and find matches highlighted, next to a gutter of line numbers.
+ */
+function renderCodeEditorHtml() {
+    return `
+        <div class="prompt-code-toolbar">
+            <input id="custom-prompt-block-name" class="text_pole" type="text" placeholder="区块名称">
+            <i class="fa-solid fa-magnifying-glass prompt-code-tool" data-action="find" title="查找与替换 (Ctrl+F)"></i>
+            <i class="fa-solid fa-up-right-and-down-left-from-center prompt-code-tool" data-action="expand" title="全高编辑"></i>
+        </div>
+        <div class="prompt-find-bar">
+            <input class="text_pole prompt-find-input" type="text" placeholder="查找">
+            <input class="text_pole prompt-replace-input" type="text" placeholder="替换为">
+            <label class="checkbox_label" title="区分大小写">
+                <input class="prompt-find-case" type="checkbox">
+                <span>Aa</span>
+            </label>
+            <span class="prompt-find-count"></span>
+            <i class="fa-solid fa-chevron-up prompt-code-tool" data-action="find-prev" title="上一个 (Shift+Enter)"></i>
+            <i class="fa-solid fa-chevron-down prompt-code-tool" data-action="find-next" title="下一个 (Enter)"></i>
+            <button class="menu_button" data-action="replace">替换</button>
+            <button class="menu_button" data-action="replace-all">全部替换</button>
+            <i class="fa-solid fa-xmark prompt-code-tool" data-action="find-close" title="关闭 (Esc)"></i>
+        </div>
+        <div class="prompt-code-editor">
+            <div class="prompt-code-gutter"></div>
+            <div class="prompt-code-surface">
+                <div class="prompt-code-highlight" aria-hidden="true"></div>
+                <textarea id="custom-prompt-textarea" spellcheck="false" placeholder="在此输入你的自定义提示词... 支持 {{char}}、{{user}}、{{getvar::名称}} 等宏，每次生成时展开。"></textarea>
+            </div>
+        </div>
+    `;
+}
+
+function setupCodeEditor(mainPanel) {
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    const findBar = mainPanel.querySelector('.prompt-find-bar');
+
+    textarea.addEventListener('scroll', () => syncCodeEditorScroll(mainPanel));
+    textarea.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            openFindBar(mainPanel);
+        }
+    });
+    mainPanel.querySelector('.prompt-code-toolbar').addEventListener('click', (e) => {
+        const action = e.target.closest('.prompt-code-tool')?.dataset.action;
+        if (action === 'find') {
+            if (findBar.classList.contains('open')) closeFindBar(mainPanel);
+            else openFindBar(mainPanel);
+        } else if (action === 'expand') {
+            const expanded = mainPanel.querySelector('.prompt-editor-container').classList.toggle('code-editor-expanded');
+            e.target.classList.toggle('fa-up-right-and-down-left-from-center', !expanded);
+            e.target.classList.toggle('fa-down-left-and-up-right-to-center', expanded);
+            e.target.title = expanded ? '退出全高编辑' : '全高编辑';
+        }
+    });
+
+    findBar.addEventListener('input', (e) => {
+        if (e.target.classList.contains('prompt-replace-input')) return;
+        findMatchIndex = -1;
+        refreshCodeEditor(mainPanel);
+    });
+    findBar.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            goToFindMatch(mainPanel, e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            // Only close the find bar, not the whole modal
+            e.stopPropagation();
+            closeFindBar(mainPanel);
+        }
+    });
+    findBar.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'find-prev') goToFindMatch(mainPanel, -1);
+        else if (action === 'find-next') goToFindMatch(mainPanel, 1);
+        else if (action === 'replace') replaceFindMatches(mainPanel, false);
+        else if (action === 'replace-all') replaceFindMatches(mainPanel, true);
+        else if (action === 'find-close') closeFindBar(mainPanel);
+    });
+
+    // Wrapping, and so the height of each numbered line, changes with the width
+    codeEditorResizeObserver?.disconnect();
+    codeEditorResizeObserver = new ResizeObserver(() => refreshCodeEditor(mainPanel));
+    codeEditorResizeObserver.observe(mainPanel.querySelector('.prompt-code-editor'));
+}
+
+/**
+ * Redraws the highlight layer and the line numbers from the textarea.
+ */
+function refreshCodeEditor(mainPanel) {
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    const highlight = mainPanel.querySelector('.prompt-code-highlight');
+    const gutter = mainPanel.querySelector('.prompt-code-gutter');
+    if (!textarea || !highlight || !gutter) return;
+
+    const text = textarea.value;
+    const matches = getFindMatches(mainPanel);
+    // One flag set per character: 1 = macro, 2 = find match, 4 = current match
+    const flags = new Uint8Array(text.length);
+    for (const match of text.matchAll(MACRO_HIGHLIGHT_REGEX)) {
+        flags.fill(1, match.index, match.index + match[0].length);
+    }
+    matches.forEach((match, index) => {
+        const flag = index === findMatchIndex ? 4 : 2;
+        for (let i = match.start; i < match.end; i++) flags[i] |= flag;
+    });
+
+    const lines = [];
+    const addLine = () => {
+        const line = document.createElement('div');
+        line.className = 'prompt-code-line';
+        lines.push(line);
+        return line;
+    };
+    let line = addLine();
+    let runStart = 0;
+    for (let i = 0; i <= text.length; i++) {
+        if (i < text.length && text[i] !== '\n' && flags[i] === flags[runStart]) continue;
+        if (i > runStart) line.append(createHighlightRun(text.slice(runStart, i), flags[runStart]));
+        if (text[i] === '\n') {
+            line = addLine();
+            runStart = i + 1;
+        } else {
+            runStart = i;
+        }
+    }
+
+    // The layer must wrap exactly like the textarea, whose scrollbar takes part of its width
+    highlight.style.width = `${textarea.clientWidth}px`;
+    highlight.replaceChildren(...lines);
+    gutter.replaceChildren(...lines.map((lineElement, index) => {
+        const number = document.createElement('div');
+        number.textContent = String(index + 1);
+        number.style.height = `${lineElement.offsetHeight}px`;
+        return number;
+    }));
+    syncCodeEditorScroll(mainPanel);
+
+    const countElement = mainPanel.querySelector('.prompt-find-count');
+    if (countElement) {
+        if (!mainPanel.querySelector('.prompt-find-input').value) countElement.textContent = '';
+        else if (matches.length === 0) countElement.textContent = '无结果';
+        else countElement.textContent = `${findMatchIndex === -1 ? '?' : findMatchIndex + 1}/${matches.length}`;
+    }
+}
+
+function createHighlightRun(text, flag) {
+    if (!flag) return document.createTextNode(text);
+    const span = document.createElement('span');
+    if (flag & 1) span.classList.add('prompt-code-macro');
+    if (flag & 6) span.classList.add('prompt-code-match');
+    if (flag & 4) span.classList.add('current');
+    span.textContent = text;
+    return span;
+}
+
+function syncCodeEditorScroll(mainPanel) {
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    mainPanel.querySelector('.prompt-code-highlight').scrollTop = textarea.scrollTop;
+    mainPanel.querySelector('.prompt-code-gutter').scrollTop = textarea.scrollTop;
+}
+
+/**
+ * @returns {{start: number, end: number}[]} Non-overlapping matches of the find bar in the selected block.
+ */
+function getFindMatches(mainPanel) {
+    const findBar = mainPanel.querySelector('.prompt-find-bar');
+    const query = findBar?.querySelector('.prompt-find-input').value;
+    if (!query || !findBar.classList.contains('open')) return [];
+
+    const caseSensitive = findBar.querySelector('.prompt-find-case').checked;
+    const text = mainPanel.querySelector('#custom-prompt-textarea').value;
+    const haystack = caseSensitive ? text : text.toLowerCase();
+    const needle = caseSensitive ? query : query.toLowerCase();
+    const matches = [];
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) {
+        matches.push({ start: index, end: index + needle.length });
+    }
+    return matches;
+}
+
+function openFindBar(mainPanel) {
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    const findInput = mainPanel.querySelector('.prompt-find-input');
+    const selection = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+    if (selection && !selection.includes('\n')) findInput.value = selection;
+
+    mainPanel.querySelector('.prompt-find-bar').classList.add('open');
+    findMatchIndex = -1;
+    refreshCodeEditor(mainPanel);
+    findInput.focus();
+    findInput.select();
+}
+
+function closeFindBar(mainPanel) {
+    mainPanel.querySelector('.prompt-find-bar').classList.remove('open');
+    findMatchIndex = -1;
+    refreshCodeEditor(mainPanel);
+    mainPanel.querySelector('#custom-prompt-textarea').focus();
+}
+
+/**
+ * Selects the next or previous match, starting from the cursor before the first jump.
+ * @param {number} step 1 or -1.
+ */
+function goToFindMatch(mainPanel, step) {
+    const matches = getFindMatches(mainPanel);
+    if (matches.length === 0) return;
+
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    if (findMatchIndex === -1) {
+        const after = matches.findIndex(match => match.start >= textarea.selectionEnd);
+        const next = after === -1 ? matches.length : after;
+        findMatchIndex = step > 0 ? next % matches.length : (next - 1 + matches.length) % matches.length;
+    } else {
+        findMatchIndex = (findMatchIndex + step + matches.length) % matches.length;
+    }
+
+    const match = matches[findMatchIndex];
+    textarea.setSelectionRange(match.start, match.end);
+    refreshCodeEditor(mainPanel);
+    const currentElement = mainPanel.querySelector('.prompt-code-match.current');
+    if (currentElement) {
+        textarea.scrollTop = currentElement.offsetTop - textarea.clientHeight / 3;
+        syncCodeEditorScroll(mainPanel);
+    }
+}
+
+/**
+ * Replaces the current match and moves on to the next one, or replaces every match.
+ */
+function replaceFindMatches(mainPanel, replaceAll) {
+    const matches = getFindMatches(mainPanel);
+    const textarea = mainPanel.querySelector('#custom-prompt-textarea');
+    const replacement = mainPanel.querySelector('.prompt-replace-input').value;
+
+    if (replaceAll) {
+        if (matches.length === 0) return;
+        const parts = [];
+        let cursor = 0;
+        matches.forEach(match => {
+            parts.push(textarea.value.slice(cursor, match.start), replacement);
+            cursor = match.end;
+        });
+        parts.push(textarea.value.slice(cursor));
+        textarea.value = parts.join('');
+        // Let the editor's own listener update the draft
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        toastr.success(`已替换 ${matches.length} 处。`);
+        return;
+    }
+
+    const match = matches[findMatchIndex];
+    if (match) {
+        textarea.setRangeText(replacement, match.start, match.end, 'end');
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    goToFindMatch(mainPanel, 1);
+}
+
+// =================================================================
+//                      BULK ACTIONS
+// =================================================================
+
+async function handleChatListToolbarClick(event) {
+    const target = event.target;
+    const listElement = modalBodyElement.querySelector('.prompt-chat-list-items');
+    if (listElement) chatListScrollTop = listElement.scrollTop;
+
+    if (target.classList.contains('prompt-global-mode')) {
+        sidebarMode = target.checked ? 'global' : 'owner';
+        chatListScrollTop = 0;
+        renderChatListPanel();
+        if (sidebarMode === 'global') loadAllOwnersChatsInBackground();
+        return;
+    }
+    if (target.classList.contains('prompt-show-all-chats')) {
+        showAllChats = target.checked;
+        renderChatListPanel();
+        return;
+    }
+    if (target.classList.contains('prompt-select-all-chats')) {
+        selectedChatFiles = new Set();
+        if (target.checked) {
+            modalBodyElement.querySelectorAll('.prompt-chat-list-item[data-chat-file]').forEach(item => selectedChatFiles.add(item.dataset.chatFile));
+        }
+        renderChatListPanel();
+        return;
+    }
+
+    const button = target.closest('[data-bulk-action]');
+    if (!button || bulkProgress) return;
+    switch (button.dataset.bulkAction) {
+        case 'copy':
+            await bulkCopyCurrentPrompt();
+            break;
+        case 'replace':
+            await bulkFindAndReplace();
+            break;
+        case 'clear':
+            await bulkClearPrompts();
+            break;
+    }
+}
+
+async function bulkCopyCurrentPrompt() {
+    const mainPanel = modalBodyElement.querySelector('.prompt-main-panel');
+    if (!editorDraft || !mainPanel?.querySelector('.prompt-editor-container')) return;
+
+    // Each target keeps its own history and origin
+    const { history, origin, ...source } = buildEntryFromEditor(mainPanel);
+    const targets = [...selectedChatFiles].filter(file => currentViewingScope !== 'chat' || file !== currentViewingChatFile);
+    const confirmed = await callGenericPopup(`将编辑器中的提示词 (含注入设置) 复制到 ${targets.length} 个聊天？已有的提示词会被替换，原内容可从历史版本恢复。`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+
+    await runBulkAction('复制', targets, (entry) => {
+        Object.assign(entry, structuredClone(source));
+        return true;
+    });
+}
+
+async function bulkClearPrompts() {
+    const confirmed = await callGenericPopup(`清空 ${selectedChatFiles.size} 个聊天的提示词？原内容可从历史版本恢复。`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+
+    await runBulkAction('清空', [...selectedChatFiles], (entry) => {
+        if (entry.blocks.length === 0) return false;
+        entry.blocks = [];
+        return true;
+    });
+}
+
+async function bulkFindAndReplace() {
+    const findText = await callGenericPopup('查找的文本:', POPUP_TYPE.INPUT, '');
+    if (!findText) return;
+    const replaceText = await callGenericPopup(`将 "${escapeHtml(findText)}" 替换为:`, POPUP_TYPE.INPUT, '');
+    if (replaceText === null || replaceText === undefined || replaceText === false) return;
+
+    await runBulkAction('替换', [...selectedChatFiles], (entry) => {
+        let changed = false;
+        for (const block of entry.blocks) {
+            if (block.content.includes(findText)) {
+                block.content = block.content.replaceAll(findText, String(replaceText));
+                changed = true;
+            }
+        }
+        return changed;
+    });
+}
+
+/**
+ * Applies a change to the prompt entry of each chat in turn, saving each one,
+ * while the sidebar shows the progress. A summary of every chat is shown at the end.
+ * @param {string} label Name of the action, shown in the progress and summary.
+ * @param {string[]} chatFiles Chat file names without extension.
+ * @param {(entry: ReturnType<typeof normalizePromptEntry>) => boolean} mutator Returns false when the chat needs no change.
+ */
+async function runBulkAction(label, chatFiles, mutator) {
+    if (chatFiles.length === 0) return;
+    // Unsaved edits of a chat about to be changed are saved or discarded first
+    if (isViewingAnyChatOf(chatFiles) && !await confirmLeaveEditor()) return;
+
+    const results = [];
+    bulkProgress = { label, done: 0, total: chatFiles.length };
+    renderChatListPanel();
+
+    for (const chatFile of chatFiles) {
+        const chatData = allChatsPromptData.find(chat => chat.fileName === chatFile);
+        // A chat that was not scanned yet is loaded first, its prompt is not known to be empty
+        if (chatData && !chatData.scanned && !await scanChatMetadata(chatData)) {
+            results.push({ chatFile, status: 'failed', reason: '无法加载聊天文件' });
+            bulkProgress.done++;
+            renderChatListPanel();
+            continue;
+        }
+        const entry = normalizePromptEntry(chatData?.metadata[METADATA_KEY]);
+        // Snapshot the previous text first so the bulk change can be undone from the history panel
+        if (entry.blocks.length > 0) appendRevision(entry);
+        if (!chatData) {
+            results.push({ chatFile, status: 'failed' });
+        } else if (!mutator(entry)) {
+            results.push({ chatFile, status: 'unchanged' });
+        } else {
+            appendRevision(entry);
+            const saved = await persistChatEntry(chatFile, entry);
+            results.push({ chatFile, status: saved ? 'saved' : 'failed', reason: saved ? '' : chatData.saveError });
+        }
+        bulkProgress.done++;
+        renderChatListPanel();
+    }
+
+    bulkProgress = null;
+    renderChatListPanel();
+    // Reload the editor if it shows one of the changed chats
+    if (isViewingAnyChatOf(results.filter(result => result.status === 'saved').map(result => result.chatFile))) {
+        await renderPromptView(currentViewingChatFile, currentViewingOwnerKey);
+    }
+    await showBulkSummary(label, results);
+}
+
+async function showBulkSummary(label, results) {
+    const statusLabels = { saved: '成功', unchanged: '无需修改', failed: '失败' };
+    const container = document.createElement('div');
+    container.className = 'prompt-bulk-summary';
+
+    const counts = Object.keys(statusLabels).map(status => `${statusLabels[status]} ${results.filter(r => r.status === status).length}`);
+    const heading = document.createElement('h3');
+    heading.textContent = `${label}完成: ${counts.join('，')}`;
+    container.appendChild(heading);
+
+    for (const result of results) {
+        const row = document.createElement('div');
+        row.className = `prompt-bulk-summary-row status-${result.status}`;
+        row.textContent = `${statusLabels[result.status]} - ${result.chatFile}${result.reason ? ` (${result.reason})` : ''}`;
+        container.appendChild(row);
+    }
+    await callGenericPopup(container, POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true });
+}
+
+// =================================================================
+//                      IMPORT / EXPORT
+// =================================================================
+
+function renderTransferPanel(mainPanel) {
+    const panel = openSubPanel(mainPanel, 'prompt-transfer-panel', (e) => handleTransferPanelClick(e, mainPanel));
+    panel.innerHTML = `
+        <div class="prompt-sub-panel-header">
+            <button class="menu_button prompt-sub-panel-back"><i class="fa-solid fa-arrow-left"></i> 返回编辑</button>
+            <span>导入 / 导出</span>
+        </div>
+        <div class="prompt-transfer-actions">
+            <button class="menu_button" data-transfer-action="export-current" ${currentViewingScope === 'chat' ? '' : 'disabled'}>
+                <i class="fa-solid fa-file-export"></i> 导出正在查看的聊天
+            </button>
+            <button class="menu_button" data-transfer-action="export-all">
+                <i class="fa-solid fa-file-export"></i> 导出所有聊天的提示词
+            </button>
+            <button class="menu_button" data-transfer-action="import">
+                <i class="fa-solid fa-file-import"></i> 从文件导入...
+            </button>
+            <input type="file" class="prompt-transfer-file hidden" accept=".json,application/json">
+        </div>
+        <div class="prompt-transfer-mapping"></div>
+    `;
+    panel.querySelector('.prompt-transfer-file').addEventListener('change', (e) => handleImportFile(e, panel));
+    if (pendingImport) renderImportMapping(panel);
+}
+
+async function handleTransferPanelClick(event, mainPanel) {
+    const button = event.target.closest('[data-transfer-action]');
+    if (!button || button.disabled) return;
+    const panel = mainPanel.querySelector('.prompt-transfer-panel');
+
+    switch (button.dataset.transferAction) {
+        case 'export-current': {
+            // The chat may be one of another character/group, picked in the global browser
+            const viewedChat = findCachedChat(currentViewingChatFile, currentViewingOwnerKey);
+            if (viewedChat) exportPrompts([viewedChat]);
+            break;
+        }
+        case 'export-all':
+            button.disabled = true;
+            await exportPrompts(null);
+            button.disabled = false;
+            break;
+        case 'import':
+            panel.querySelector('.prompt-transfer-file').click();
+            break;
+        case 'apply-import':
+            button.disabled = true;
+            await applyImport(panel);
+            button.disabled = false;
+            break;
+        case 'cancel-import':
+            pendingImport = null;
+            panel.querySelector('.prompt-transfer-mapping').innerHTML = '';
+            break;
+    }
+}
+
+/**
+ * Writes the prompts of the given chats, or of every chat of the current
+ * character/group, to a JSON file. Revision history is not exported.
+ * @param {object[]|null} selectedChats Cached chat data, null for all chats.
+ */
+async function exportPrompts(selectedChats) {
+    const context = getContext();
+
+    let chats;
+    if (selectedChats) {
+        chats = selectedChats;
+    } else {
+        // Reuse what the sidebar scan found, waiting for it if it is still running
+        if (currentScanPromise) {
+            toastr.info('正在等待聊天扫描完成...');
+            await currentScanPromise;
+        }
+        chats = allChatsPromptData.slice();
+    }
+
+    const prompts = chats
+        .filter(chat => hasPromptContent(chat.metadata[METADATA_KEY]))
+        .map(chat => {
+            const { history, ...entry } = normalizePromptEntry(chat.metadata[METADATA_KEY]);
+            return { chatFile: chat.fileName, entry };
+        });
+    if (prompts.length === 0) {
+        toastr.info('没有可导出的提示词。');
+        return;
+    }
+
+    // A single chat is exported with its own character/group
+    const owner = selectedChats?.length === 1
+        ? { type: selectedChats[0].isGroup ? 'group' : 'character', name: selectedChats[0].ownerName }
+        : getCurrentOwner(context);
+    const exportData = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: owner ? { type: owner.type, name: owner.name } : null,
+        prompts,
+    };
+    const fileBaseName = prompts.length === 1 ? prompts[0].chatFile : `${owner?.name || 'chats'}_prompts`;
+    download(JSON.stringify(exportData, null, 2), `${fileBaseName}.custom-prompt.json`, 'application/json');
+    toastr.success(`已导出 ${prompts.length} 个提示词。`);
+}
+
+async function handleImportFile(event, panel) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.prompts)) {
+            throw new Error('Not a custom prompt export file.');
+        }
+        const prompts = data.prompts
+            .filter(item => item && typeof item.chatFile === 'string' && item.entry)
+            .map(item => ({ chatFile: item.chatFile, entry: normalizePromptEntry(item.entry) }));
+        if (prompts.length === 0) {
+            toastr.warning('文件中没有提示词。');
+            return;
+        }
+        pendingImport = { fileName: file.name, source: data.source, prompts };
+        renderImportMapping(panel);
+    } catch (error) {
+        console.error(`[${pluginName}] Failed to read import file:`, error);
+        toastr.error('无法读取导入文件，请确认它是由本插件导出的 JSON 文件。');
+    }
+}
+
+/**
+ * Shows the mapping/preview step of an import: a target chat for each imported
+ * prompt, the policy for chats that already have a prompt, and an optional
+ * assignment of one imported prompt to several chats.
+ */
+function renderImportMapping(panel) {
+    const mappingElement = panel.querySelector('.prompt-transfer-mapping');
+    if (isLoadingOtherChats) {
+        mappingElement.innerHTML = '<div class="prompt-empty">聊天列表仍在加载中，加载完成后会显示导入预览...</div>';
+        return;
+    }
+
+    const chatFiles = allChatsPromptData.map(chat => chat.fileName);
+    const chatOptionsHtml = (selectedFile) => `
+        <option value="">(跳过)</option>
+        ${chatFiles.map(file => `<option value="${escapeHtml(file)}" ${file === selectedFile ? 'selected' : ''}>${escapeHtml(file)}</option>`).join('')}
+    `;
+    const promptPreview = (entry) => escapeHtml(flattenPromptBlocks(entry.blocks.filter(block => block.content.trim() !== '')).slice(0, 200));
+
+    mappingElement.innerHTML = `
+        <div class="prompt-transfer-section-title">
+            导入 "${escapeHtml(pendingImport.fileName)}"${pendingImport.source ? ` (来自 ${escapeHtml(pendingImport.source.name)})` : ''}: ${pendingImport.prompts.length} 个提示词
+        </div>
+        <table class="prompt-transfer-table">
+            <thead><tr><th>导入的聊天</th><th>内容预览</th><th>应用到</th></tr></thead>
+            <tbody>
+                ${pendingImport.prompts.map((item, index) => `
+                    <tr>
+                        <td>${escapeHtml(item.chatFile)}</td>
+                        <td class="prompt-transfer-preview" title="${promptPreview(item.entry)}">${promptPreview(item.entry)}</td>
+                        <td><select class="text_pole prompt-import-target" data-import-index="${index}">${chatOptionsHtml(chatFiles.includes(item.chatFile) ? item.chatFile : '')}</select></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="prompt-transfer-section-title">同时将一个导入的提示词分配给多个聊天 (可选)</div>
+        <select class="text_pole prompt-import-multi-source">
+            <option value="">(不分配)</option>
+            ${pendingImport.prompts.map((item, index) => `<option value="${index}">${escapeHtml(item.chatFile)}</option>`).join('')}
+        </select>
+        <div class="prompt-import-multi-targets">
+            ${chatFiles.map(file => `
+                <label class="checkbox_label"><input type="checkbox" value="${escapeHtml(file)}"><span>${escapeHtml(file)}</span></label>
+            `).join('')}
+        </div>
+        <div class="prompt-transfer-section-title">目标聊天已有提示词时</div>
+        <div class="prompt-import-policy">
+            <label class="checkbox_label"><input type="radio" name="prompt-import-policy" value="skip" checked><span>跳过</span></label>
+            <label class="checkbox_label"><input type="radio" name="prompt-import-policy" value="overwrite"><span>覆盖</span></label>
+        </div>
+        <div class="prompt-transfer-actions">
+            <button class="menu_button" data-transfer-action="cancel-import">取消</button>
+            <button class="menu_button primary_button" data-transfer-action="apply-import">应用导入</button>
+        </div>
+    `;
+}
+
+async function applyImport(panel) {
+    if (!pendingImport) return;
+
+    // Collect chat -> imported prompt assignments; the multi-assignment wins for the chats it lists
+    const assignments = new Map();
+    panel.querySelectorAll('.prompt-import-target').forEach(select => {
+        if (select.value) assignments.set(select.value, pendingImport.prompts[Number(select.dataset.importIndex)]);
+    });
+    const multiSource = panel.querySelector('.prompt-import-multi-source').value;
+    if (multiSource !== '') {
+        panel.querySelectorAll('.prompt-import-multi-targets input:checked').forEach(checkbox => {
+            assignments.set(checkbox.value, pendingImport.prompts[Number(multiSource)]);
+        });
+    }
+    if (assignments.size === 0) {
+        toastr.info('没有选择任何目标聊天。');
+        return;
+    }
+
+    const overwrite = panel.querySelector('input[name="prompt-import-policy"]:checked').value === 'overwrite';
+    // Unsaved edits of a chat about to be overwritten are saved or discarded first
+    if (isViewingAnyChatOf(assignments.keys()) && !await confirmLeaveEditor()) return;
+    const results = { saved: [], skipped: [], failed: [] };
+    for (const [chatFile, item] of assignments) {
+        const chatData = allChatsPromptData.find(chat => chat.fileName === chatFile);
+        // A chat that was not scanned yet is loaded first, its prompt is not known to be empty
+        if (chatData && !chatData.scanned && !await scanChatMetadata(chatData)) {
+            results.failed.push(chatFile);
+            continue;
+        }
+        const existingRaw = chatData?.metadata[METADATA_KEY];
+        if (hasPromptContent(existingRaw) && !overwrite) {
+            results.skipped.push(chatFile);
+            continue;
+        }
+        // Keep the target's own history so the import can be undone from the history panel
+        const entry = { ...structuredClone(item.entry), history: normalizePromptEntry(existingRaw).history };
+        appendRevision(entry);
+        if (await persistChatEntry(chatFile, entry, { overwrite })) {
+            results.saved.push(chatFile);
+        } else if (chatData?.conflict && hasPromptContent(chatData.conflict.serverEntry)) {
+            // The chat got a prompt elsewhere since it was scanned
+            results.skipped.push(chatFile);
+        } else {
+            results.failed.push(chatFile);
+        }
+    }
+
+    pendingImport = null;
+    panel.querySelector('.prompt-transfer-mapping').innerHTML = `
+        <div class="prompt-transfer-section-title">导入完成</div>
+        <div>已应用: ${results.saved.length}，已跳过: ${results.skipped.length}，失败: ${results.failed.length}</div>
+        ${results.failed.length ? `<div class="prompt-transfer-failed">失败的聊天: ${escapeHtml(results.failed.join(', '))}</div>` : ''}
+    `;
+    toastr.success(`已导入 ${results.saved.length} 个提示词。`);
+    renderChatListPanel();
+    if (isViewingAnyChatOf(results.saved)) {
+        // Reloading the editor closes this panel, so failures are reported here as well
+        if (results.failed.length) toastr.warning(`导入失败的聊天: ${results.failed.join(', ')}`);
+        await renderPromptView(currentViewingChatFile, currentViewingOwnerKey);
+    }
+}
+
+// =================================================================
+//        DATA FETCHING & SAVING (ADAPTED FROM 'STAR' PLUGIN)
+// =================================================================
+
+function loadScanIndex() {
+    try {
+        return JSON.parse(localStorage.getItem(SCAN_INDEX_STORAGE_KEY) || '{}') || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Stores the index, keeping at most SCAN_INDEX_MAX_OWNERS characters/groups.
+ * Owners are kept in the order they were scanned, so the oldest are dropped
+ * first, also when the storage is full.
+ */
+function saveScanIndex(index) {
+    const ownerKeys = Object.keys(index);
+    ownerKeys.slice(0, -SCAN_INDEX_MAX_OWNERS).forEach(ownerKey => delete index[ownerKey]);
+    while (true) {
+        try {
+            localStorage.setItem(SCAN_INDEX_STORAGE_KEY, JSON.stringify(index));
+            return;
+        } catch (error) {
+            const remainingOwnerKeys = Object.keys(index);
+            if (remainingOwnerKeys.length <= 1) {
+                console.warn(`[${pluginName}] Could not persist the chat scan index:`, error);
+                // A stale index left behind would be shown again
+                localStorage.removeItem(SCAN_INDEX_STORAGE_KEY);
+                return;
+            }
+            delete index[remainingOwnerKeys[0]];
+        }
+    }
+}
+
+function getOwnerKey(owner) {
+    return `${owner.type}:${owner.id}`;
+}
+
+/**
+ * Identifies a version of a chat file from its list entry. The size and last
+ * message date change with new messages, but not always with the metadata alone,
+ * so an index entry is only shown until the chat has been loaded again.
+ */
+function getChatSignature(chatMeta) {
+    return [chatMeta.file_size, chatMeta.last_mes, chatMeta.chat_items ?? chatMeta.message_count].join('|');
+}
+
+/**
+ * Records what a scan learned about a chat. Revision history is left out to keep
+ * the index small.
+ */
+function recordScanIndexEntry(ownerIndex, chatData) {
+    const rawEntry = chatData.metadata[METADATA_KEY];
+    if (!rawEntry) {
+        ownerIndex[chatData.fileName] = { signature: chatData.signature, entry: null };
+        return;
+    }
+    const { history, ...entry } = normalizePromptEntry(rawEntry);
+    ownerIndex[chatData.fileName] = { signature: chatData.signature, entry };
+}
+
+/**
+ * Loads a chat and keeps only its metadata, for chats the scan could not resolve
+ * from the chat list.
+ * @returns {Promise<boolean>} Whether the metadata was loaded.
+ */
+async function scanChatMetadata(chatData, signal = undefined) {
+    const fullChatData = await getFullChatData(getChatCharacterId(chatData), chatData.groupId, chatData.fileName, chatData.isGroup, signal);
+    if (!fullChatData) return false;
+    chatData.metadata = fullChatData.metadata;
+    chatData.scanned = true;
+    rememberChatSnapshot(chatData, fullChatData.messages);
+    return true;
+}
+
+/**
+ * Runs an async worker over items with at most `limit` calls in flight.
+ */
+async function runWithConcurrency(items, limit, worker, signal = undefined) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length && !signal?.aborted) {
+            await worker(items[nextIndex++]);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * @param {{type: 'character'|'group', id: string}} owner
+ */
+async function fetchChatList(owner, signal) {
+    let chatListResponse, requestBody;
+    if (owner.type === 'group') {
+        requestBody = { group_id: owner.id, query: '' };
+        chatListResponse = await fetch('/api/chats/search', { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody), signal });
+    } else {
+        // Servers that support it include each chat's header metadata in the list
+        requestBody = { avatar_url: owner.id, metadata: true };
+        chatListResponse = await fetch('/api/characters/chats', { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody), signal });
+    }
+    if (!chatListResponse.ok) return [];
+    const list = await chatListResponse.json();
+    return Array.isArray(list) ? list : Object.values(list || {});
+}
+
+/**
+ * Lists the chats of the current character or group with their metadata.
+ * @param {boolean} skipCurrentChat
+ * @param {{signal?: AbortSignal, onProgress?: (chats: object[]) => void}} [options]
+ */
+async function getAllChatDataForCurrentContext(skipCurrentChat = false, options = {}) {
+    const context = getContext();
+    const owner = context && getCurrentOwner(context);
+    if (!owner) return [];
+
+    const skipChatFile = skipCurrentChat ? String(context.chatId || '').replace('.jsonl', '') : null;
+    return getAllChatDataForOwner(owner, { ...options, skipChatFile });
+}
+
+/**
+ * Lists the chats of a character or group with their metadata, without keeping
+ * any messages. Metadata comes from the chat list when the server sends it
+ * (group chat lists never include it), otherwise from loading the chat, a few at
+ * a time. Until a chat is loaded, the scan index fills in what it last held.
+ * @param {{type: 'character'|'group', id: string, name: string}} owner
+ * @param {{skipChatFile?: string|null, signal?: AbortSignal, onProgress?: (chats: object[]) => void}} [options]
+ */
+async function getAllChatDataForOwner(owner, { skipChatFile = null, signal, onProgress } = {}) {
+    const allData = [];
+    const pending = [];
+    const scanIndex = loadScanIndex();
+    const ownerIndex = scanIndex[getOwnerKey(owner)] || {};
+
+    let chatList;
+    try {
+        chatList = await fetchChatList(owner, signal);
+    } catch (error) {
+        if (!signal?.aborted) console.error(`[${pluginName}] Error fetching chat list:`, error);
+        return [];
+    }
+
+    for (const chatMeta of chatList) {
+        const chatFileNameNoExt = String(chatMeta.file_name || '').replace('.jsonl', '');
+        if (!chatFileNameNoExt || chatFileNameNoExt === skipChatFile) {
+            continue;
+        }
+        const chatData = {
+            fileName: chatFileNameNoExt,
+            displayName: chatFileNameNoExt,
+            metadata: {},
+            scanned: false,
+            signature: getChatSignature(chatMeta),
+            isGroup: owner.type === 'group',
+            groupId: owner.type === 'group' ? owner.id : undefined,
+            avatar: owner.type === 'character' ? owner.id : undefined,
+            ownerKey: getOwnerKey(owner),
+            ownerName: owner.name,
+        };
+        const indexed = ownerIndex[chatFileNameNoExt];
+        if (chatMeta.chat_metadata && typeof chatMeta.chat_metadata === 'object') {
+            chatData.metadata = structuredClone(chatMeta.chat_metadata);
+            chatData.scanned = true;
+        } else {
+            // Shown until the chat is loaded, as the prompt may have changed elsewhere since
+            if (indexed && indexed.signature === chatData.signature && indexed.entry) {
+                chatData.metadata = { [METADATA_KEY]: indexed.entry };
+            }
+            pending.push(chatData);
+        }
+        if (chatData.scanned) rememberChatSnapshot(chatData);
+        allData.push(chatData);
+    }
+    onProgress?.(allData);
+
+    await runWithConcurrency(pending, SCAN_CONCURRENCY, async (chatData) => {
+        if (await scanChatMetadata(chatData, signal)) {
+            onProgress?.(allData);
+        }
+    }, signal);
+    if (signal?.aborted) return allData;
+
+    // Rebuild this owner's index from the chats that exist now, dropping deleted ones.
+    // Only the chats the list has no metadata for need an entry.
+    const nextOwnerIndex = {};
+    pending.filter(chatData => chatData.scanned).forEach(chatData => {
+        recordScanIndexEntry(nextOwnerIndex, chatData);
+    });
+    if (JSON.stringify(nextOwnerIndex) !== JSON.stringify(scanIndex[getOwnerKey(owner)] || {})) {
+        // Re-added at the end, as the most recently scanned owner
+        delete scanIndex[getOwnerKey(owner)];
+        if (Object.keys(nextOwnerIndex).length > 0) scanIndex[getOwnerKey(owner)] = nextOwnerIndex;
+        saveScanIndex(scanIndex);
+    }
+
+    return allData;
+}
+
+/**
+ * Splits the rows of a chat file into its header row and its messages.
+ * Group chats written by older versions of the host have no header row.
+ */
+function splitChatFile(rows) {
+    if (!Array.isArray(rows)) return { header: null, messages: [] };
+    const first = rows[0];
+    const isHeader = first && typeof first === 'object' && !Array.isArray(first) && (first.chat_metadata || !('mes' in first));
+    return isHeader ? { header: first, messages: rows.slice(1) } : { header: null, messages: rows };
+}
+
+async function getFullChatData(characterId, groupId, chatFileNameNoExt, isGroup, signal = undefined) {
+    // This function is complex but robust, adapted directly from the star plugin
+    // to fetch full chat data including metadata and messages.
+    const context = getContext();
+    let endpoint, requestBody;
+    try {
+        if (isGroup) {
+            if (!groupId) return null;
+            // Group chat files are addressed by the chat id alone
+            endpoint = '/api/chats/group/get';
+            requestBody = { id: chatFileNameNoExt };
+        } else {
+            if (characterId === undefined || !context.characters[characterId]) return null;
+            const charObj = context.characters[characterId];
+            endpoint = '/api/chats/get';
+            requestBody = { ch_name: charObj.name, file_name: chatFileNameNoExt, avatar_url: charObj.avatar };
+        }
+        const response = await fetch(endpoint, { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody), signal });
+        if (!response.ok) return null;
+        const { header, messages } = splitChatFile(await response.json());
+        const finalMetadataObject = header ? structuredClone(header.chat_metadata || header) : {};
+        return { header, metadata: finalMetadataObject, messages };
+    } catch (error) {
+        if (!signal?.aborted) {
+            console.error(`[${pluginName}] getFullChatData error for "${chatFileNameNoExt}":`, error);
+        }
+        // Never hand out an empty chat here: saving it would wipe the real messages
+        return null;
+    }
+}
+
+/**
+ * Merges two revision histories, dropping duplicates and keeping the newest MAX_PROMPT_HISTORY.
+ */
+function mergeRevisionHistories(historyA, historyB) {
+    const seen = new Set();
+    return [...historyA, ...historyB]
+        .filter(revision => {
+            const key = `${revision.timestamp}|${revision.text}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-MAX_PROMPT_HISTORY);
+}
+
+/**
+ * Identifies the content of a prompt entry, ignoring its revision history.
+ */
+function getEntryFingerprint(rawEntry) {
+    const { history, ...entry } = normalizePromptEntry(rawEntry);
+    return JSON.stringify(rawEntry ? entry : null);
+}
+
+function getLastMessageKey(messages) {
+    const lastMessage = messages.at(-1);
+    return lastMessage ? `${lastMessage.send_date}|${String(lastMessage.mes || '').length}` : '';
+}
+
+/**
+ * Remembers the state of a cached chat, so a later save can tell whether the
+ * chat file changed on the server in the meantime.
+ * @param {object} chatData
+ * @param {object[]} [messages] The chat's messages, when they were loaded.
+ */
+function rememberChatSnapshot(chatData, messages = undefined) {
+    chatData.baseEntryFingerprint = getEntryFingerprint(chatData.metadata[METADATA_KEY]);
+    if (messages) {
+        chatData.messageCount = messages.length;
+        chatData.lastMessageKey = getLastMessageKey(messages);
+    }
+}
+
+/**
+ * Saves a prompt entry to a chat that is not open. The chat is loaded again right
+ * before writing and only the prompt key of its metadata is replaced, so messages
+ * added elsewhere since the chat was cached are kept. If the prompt itself was
+ * changed elsewhere the save is refused, unless `overwrite` is set.
+ * On failure `chatData.saveError` explains why, and `chatData.conflict` holds the
+ * server's entry when the prompt was changed elsewhere.
+ * @returns {Promise<boolean>} Whether the entry was saved.
+ */
+async function saveChatPromptEntry(chatData, entry, { overwrite = false } = {}) {
+    chatData.saveError = null;
+    chatData.conflict = null;
+
+    const fullChatData = await getFullChatData(getChatCharacterId(chatData), chatData.groupId, chatData.fileName, chatData.isGroup);
+    if (!fullChatData) {
+        chatData.saveError = '无法加载聊天文件';
+        toastr.error(`无法加载聊天 "${chatData.fileName}"，提示词未保存。`);
+        return false;
+    }
+    if (!fullChatData.header) {
+        chatData.saveError = '聊天文件没有元数据行，无法安全写入';
+        toastr.error(`聊天 "${chatData.fileName}" 没有元数据行，为避免损坏文件，提示词未保存。`);
+        return false;
+    }
+
+    // A chat that was never scanned was assumed to have no prompt
+    const serverRawEntry = fullChatData.metadata[METADATA_KEY];
+    const serverEntry = normalizePromptEntry(serverRawEntry);
+    const changedElsewhere = getEntryFingerprint(serverRawEntry) !== (chatData.baseEntryFingerprint ?? getEntryFingerprint(undefined));
+    if (changedElsewhere && !overwrite) {
+        chatData.saveError = '提示词在打开后已在其他地方被修改';
+        chatData.conflict = { serverEntry };
+        return false;
+    }
+    const messagesChanged = chatData.messageCount !== undefined
+        && (fullChatData.messages.length !== chatData.messageCount || getLastMessageKey(fullChatData.messages) !== chatData.lastMessageKey);
+
+    // The prompt being overwritten was never seen by the caller, keep it restorable
+    if (changedElsewhere && serverEntry.blocks.length > 0) appendRevision(serverEntry);
+    // The cached entry may come from the scan index without its history
+    const entryToSave = { ...entry, history: mergeRevisionHistories(serverEntry.history, entry.history || []) };
+    // The saved text stays the latest revision, after the snapshot above
+    if (changedElsewhere) appendRevision(entryToSave);
+    const updatedMetadata = { ...fullChatData.metadata, [METADATA_KEY]: entryToSave };
+
+    // Older versions of this plugin wrote the metadata both into the header and into
+    // its chat_metadata; keep only the real header fields next to chat_metadata.
+    const { chat_metadata: storedMetadata, ...headerFields } = fullChatData.header;
+    if (storedMetadata) {
+        Object.keys(storedMetadata).forEach(key => delete headerFields[key]);
+    }
+    const header = { ...headerFields, chat_metadata: updatedMetadata };
+
+    if (!await saveSpecificChatMetadata(chatData, header, fullChatData.messages)) {
+        return false;
+    }
+    if (messagesChanged) {
+        toastr.info(`聊天 "${chatData.fileName}" 在打开后有新的消息变动，已保留这些消息，仅更新了提示词。`);
+    }
+
+    chatData.metadata = updatedMetadata;
+    chatData.scanned = true;
+    rememberChatSnapshot(chatData, fullChatData.messages);
+    return true;
+}
+
+/**
+ * Writes a chat file of the chat's own character or group. The write is not
+ * forced, so the server refuses it if the chat's integrity changed in the meantime.
+ * @returns {Promise<boolean>} Whether the file was written; `chatData.saveError` says why not.
+ */
+async function saveSpecificChatMetadata(chatData, header, messagesArray) {
+    // This function is also adapted from the star plugin to save changes to non-active chats.
+    const context = getContext();
+    const chatFileNameNoExt = chatData.fileName;
+    try {
+        const chatContentToSave = [header, ...messagesArray];
+
+        let endpoint, requestBody;
+        if (chatData.isGroup) {
+            endpoint = '/api/chats/group/save';
+            requestBody = { id: chatFileNameNoExt, chat: chatContentToSave, force: false };
+        } else {
+            const charObj = context.characters[getChatCharacterId(chatData)];
+            if (!charObj) throw new Error("Character info unknown.");
+            endpoint = '/api/chats/save';
+            requestBody = { chat: chatContentToSave, file_name: chatFileNameNoExt, ch_name: charObj.name, avatar_url: charObj.avatar, force: false };
+        }
+
+        const response = await fetch(endpoint, { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(requestBody), cache: 'no-cache' });
+        if (!response.ok) {
+            const responseText = await response.text();
+            if (responseText.includes('integrity')) {
+                chatData.saveError = '聊天文件在保存时被其他地方修改 (完整性校验失败)';
+                toastr.error(`聊天 "${chatFileNameNoExt}" 正在被其他地方修改，提示词未保存，请稍后重试。`);
+                return false;
+            }
+            throw new Error(`Server responded with ${response.status}: ${responseText}`);
+        }
+        return true;
+    } catch (error) {
+        console.error(`[${pluginName}] Error in saveSpecificChatMetadata for ${chatFileNameNoExt}`, error);
+        chatData.saveError = error.message;
+        toastr.error(`保存聊天 "${chatFileNameNoExt}" 的提示词时发生错误: ${error.message}`);
+        return false;
+    }
+}
+
+
+// =================================================================
+//                      CARRY-OVER TO NEW CHATS
+// =================================================================
+
+function getActiveChatId(context = getContext()) {
+    return String(context.chatId || '').replace('.jsonl', '');
+}
+
+/**
+ * Remembers the open chat and the one open before it, which is the parent of a
+ * chat created from it. The metadata object is kept by reference, because the
+ * host replaces it, rather than mutating it, when another chat is loaded.
+ */
+function trackActiveChat() {
+    const context = getContext();
+    const chatId = getActiveChatId(context);
+    if (!chatId || chatId === lastSeenChat?.chatId) return;
+    previousChat = lastSeenChat;
+    lastSeenChat = { chatId, ownerKey: getCurrentOwnerKey(context), metadata: context.chatMetadata };
+}
+
+/**
+ * Works out whether the open chat was just created from another chat and has no
+ * recorded origin yet.
+ * @param {boolean} isNewChat The host reported that a chat was created.
+ * @returns {{type: 'new'|'branch'|'checkpoint', parent: string|null}|null}
+ */
+function detectChatOrigin(isNewChat) {
+    const context = getContext();
+    const chatId = getActiveChatId(context);
+    const rawEntry = context.chatMetadata?.[METADATA_KEY];
+    // Origins recorded before chatId existed are taken to belong to this chat
+    const isInheritedOrigin = !!rawEntry?.origin?.chatId && String(rawEntry.origin.chatId) !== chatId;
+    if (!chatId || (rawEntry?.origin && !isInheritedOrigin)) return null;
+
+    // Branches and checkpoints name the chat they were split from; whether they are
+    // still fresh can only be told from that chat's file, see isUnchangedSplit
+    const mainChat = context.chatMetadata.main_chat;
+    if (mainChat) {
+        return { type: BRANCH_NAME_REGEX.test(chatId) ? 'branch' : 'checkpoint', parent: String(mainChat).replace('.jsonl', '') };
+    }
+
+    if (!isNewChat || context.chat.some(message => message.is_user)) return null;
+    // The event may come before or after CHAT_CHANGED has been tracked
+    const parentChat = lastSeenChat?.chatId !== chatId ? lastSeenChat : previousChat;
+    const parent = parentChat?.ownerKey === getCurrentOwnerKey(context) ? parentChat.chatId : null;
+    return { type: 'new', parent };
+}
+
+/**
+ * Whether the open branch or checkpoint still ends at the message it was split off
+ * at, so it was not continued since. The host marks that message of the parent
+ * with the new chat's name, though not always saved yet, and the copy of the
+ * message is the last one of the new chat.
+ */
+async function isUnchangedSplit(parentChatId) {
+    const context = getContext();
+    const chatId = getActiveChatId(context);
+    const lastMessage = context.chat.at(-1);
+    if (!lastMessage) return false;
+
+    const parentChatData = await getFullChatData(context.characterId, context.groupId, parentChatId, !!context.groupId);
+    const splitMessage = parentChatData?.messages[context.chat.length - 1];
+    if (!splitMessage) return false;
+    const extra = splitMessage.extra || {};
+    const marksThisChat = extra.bookmark_link === chatId || (Array.isArray(extra.branches) && extra.branches.includes(chatId));
+    return marksThisChat || (splitMessage.send_date === lastMessage.send_date && splitMessage.mes === lastMessage.mes);
+}
+
+async function loadParentEntry(parentChatId) {
+    for (const trackedChat of [lastSeenChat, previousChat]) {
+        if (trackedChat?.chatId === parentChatId && trackedChat.ownerKey === getCurrentOwnerKey()) {
+            return trackedChat.metadata?.[METADATA_KEY] ?? null;
+        }
+    }
+    const context = getContext();
+    const parentChatData = await getFullChatData(context.characterId, context.groupId, parentChatId, !!context.groupId);
+    return parentChatData?.metadata[METADATA_KEY] ?? null;
+}
+
+/**
+ * Gives a chat created from another chat the prompt the carry-over policy asks
+ * for, instead of whatever the host happened to copy, and records where it came from.
+ * @param {boolean} [isNewChat] The host reported that a chat was created.
+ */
+async function applyCarryOver(isNewChat = false) {
+    const origin = detectChatOrigin(isNewChat);
+    const chatId = getActiveChatId();
+    if (!origin || carryOverChatId === chatId) return;
+
+    carryOverChatId = chatId;
+    try {
+        // Only a chat that still ends where it was split off is fresh; one that was continued is left alone
+        if (origin.type !== 'new' && !await isUnchangedSplit(origin.parent)) return;
+        if (getActiveChatId() !== chatId) return;
+
+        const settings = getPluginSettings();
+        let policy = settings.carryOverPolicy;
+        if (policy === 'copy' && !origin.parent) policy = 'owner';
+
+        if (settings.carryOverConfirm) {
+            const policyLabel = CARRY_OVER_POLICY_OPTIONS.find(option => option.value === policy)?.label;
+            const parentText = origin.parent ? ` (来自 "${escapeHtml(origin.parent)}")` : '';
+            const confirmed = await callGenericPopup(
+                `${CHAT_ORIGIN_LABELS[origin.type]} "${escapeHtml(chatId)}"${parentText} 的提示词: ${policyLabel}？取消则保留聊天现有的提示词。`,
+                POPUP_TYPE.CONFIRM,
+            );
+            if (!confirmed) policy = 'kept';
+        }
+        const parentEntry = policy === 'copy' ? await loadParentEntry(origin.parent) : null;
+        // The user may have switched chats in the meantime
+        if (getActiveChatId() !== chatId) return;
+
+        updateActiveChatEntry((entry) => {
+            if (policy === 'copy') {
+                const { history, origin: parentOrigin, ...copied } = normalizePromptEntry(parentEntry);
+                Object.assign(entry, copied);
+            } else if (policy === 'owner') {
+                Object.assign(entry, { blocks: [], inherit: 'append', enabled: true });
+            } else if (policy === 'empty') {
+                Object.assign(entry, { blocks: [], inherit: 'off', enabled: true });
+            }
+            entry.origin = { type: origin.type, chatId, parent: origin.parent, policy, timestamp: Date.now() };
+        });
+        console.log(`[${pluginName}] Carried over prompt to ${origin.type} chat "${chatId}" (${policy}).`);
+    } catch (error) {
+        console.error(`[${pluginName}] Error carrying over the prompt to "${chatId}":`, error);
+    } finally {
+        carryOverChatId = null;
+    }
+}
+
+// =================================================================
+//                      STATE UPDATES
+// =================================================================
+
+function getStateUpdateProgress(context = getContext()) {
+    return Number(context.chatMetadata?.[SUMMARY_METADATA_KEY]?.messageCount) || 0;
+}
+
+/**
+ * Fills the instruction of a state update. A placeholder missing from a
+ * customized instruction is appended instead, so nothing is left out.
+ */
+function buildStateUpdatePrompt(instruction, stateText, messagesText) {
+    const values = { [SUMMARY_STATE_PLACEHOLDER]: stateText || '(空)', [SUMMARY_MESSAGES_PLACEHOLDER]: messagesText };
+    // A single pass with a function keeps `$&` and placeholders inside the values as they are
+    let prompt = instruction.replace(SUMMARY_PLACEHOLDER_REGEX, placeholder => values[placeholder]);
+    for (const [placeholder, value] of Object.entries(values)) {
+        if (!instruction.includes(placeholder)) prompt = `${prompt}\n\n${value}`;
+    }
+    return prompt;
+}
+
+/**
+ * Runs a quiet generation through the host. Newer hosts take one options
+ * object, older ones (quiet_prompt, quietToLoud, skipWIAN, ...).
+ */
+async function generateQuietText(quietPrompt) {
+    const { generateQuietPrompt } = getContext();
+    const result = generateQuietPrompt.length === 0
+        ? await generateQuietPrompt({ quietPrompt, skipWIAN: true })
+        : await generateQuietPrompt(quietPrompt, false, true);
+    return String(result ?? '').trim();
+}
+
+/**
+ * Asks the model to rewrite the state block of the open chat's prompt from
+ * the recent messages, and offers the result for approval.
+ * @param {{auto?: boolean}} [options] Automatic runs only speak up when there is a proposal.
+ */
+async function proposeStateUpdate({ auto = false } = {}) {
+    if (isUpdatingState) {
+        if (!auto) toastr.info('正在生成状态更新，请稍候。');
+        return;
+    }
+    const context = getContext();
+    if (!context.chatId) {
+        if (!auto) toastr.warning('没有打开的聊天。');
+        return;
+    }
+
+    const settings = getPluginSettings();
+    const chatId = context.chatId;
+    const blockName = settings.summaryBlockName;
+    const oldText = findEntryBlock(normalizePromptEntry(context.chatMetadata[METADATA_KEY]), blockName)?.content ?? '';
+    const messagesText = context.chat
+        .slice(-settings.summaryMessageCount)
+        .filter(message => !message.is_system && message.mes)
+        .map(message => `${message.name}: ${message.mes}`)
+        .join('\n\n');
+    if (!messagesText) {
+        if (!auto) toastr.warning('聊天中还没有可用于更新的消息。');
+        return;
+    }
+
+    // Counted from here, so a failing model is not asked again after every message
+    context.updateChatMetadata({ [SUMMARY_METADATA_KEY]: { messageCount: context.chat.length } });
+    saveMetadataDebounced();
+
+    isUpdatingState = true;
+    if (!auto) toastr.info(`正在根据最近的消息更新 "${blockName}"...`);
+    let newText;
+    try {
+        newText = await generateQuietText(buildStateUpdatePrompt(settings.summaryInstruction, oldText, messagesText));
+    } catch (error) {
+        console.error(`[${pluginName}] State update failed:`, error);
+        toastr.error('生成状态更新失败，请查看控制台。');
+        return;
+    } finally {
+        isUpdatingState = false;
+    }
+
+    // The user may have switched chats while the model was writing
+    if (getContext().chatId !== chatId) return;
+    if (!newText || newText === oldText.trim()) {
+        if (!auto) toastr.info('模型没有提出任何修改。');
+        return;
+    }
+
+    pendingStateUpdate = { chatId, blockName, oldText, newText };
+    if (auto && !isPromptModalOpen()) {
+        toastr.info(`"${blockName}" 有新的更新建议，点击查看并审核。`, '', {
+            timeOut: 0,
+            extendedTimeOut: 0,
+            onclick: () => showStateUpdateProposal(),
+        });
+        return;
+    }
+    await showStateUpdateProposal();
+}
+
+/**
+ * Proposes a state update once the configured number of messages arrived
+ * since the last one. Called after every generation.
+ */
+function checkStateUpdateInterval() {
+    const settings = getPluginSettings();
+    const context = getContext();
+    if (!settings.summaryAuto || isUpdatingState || !context.chatId) return;
+    if (pendingStateUpdate?.chatId === context.chatId) return;
+    if (context.chat.length - getStateUpdateProgress(context) < settings.summaryInterval) return;
+    proposeStateUpdate({ auto: true });
+}
+
+/**
+ * Opens the active chat's editor with the pending state update as a diff.
+ */
+async function showStateUpdateProposal() {
+    if (!pendingStateUpdate) return;
+    if (pendingStateUpdate.chatId !== getContext().chatId) {
+        toastr.warning('这条更新建议属于另一个聊天，已丢弃。');
+        pendingStateUpdate = null;
+        return;
+    }
+
+    if (!isPromptModalOpen()) {
+        await openPromptModal();
+    } else if (!isViewingActiveChat()) {
+        if (!await confirmLeaveEditor()) return;
+        await renderPromptView();
+    }
+    const mainPanel = modalBodyElement.querySelector('.prompt-main-panel');
+    if (mainPanel) renderStateUpdatePanel(mainPanel);
+}
+
+function renderStateUpdatePanel(mainPanel) {
+    const panel = openSubPanel(mainPanel, 'prompt-state-update-panel', (e) => handleStateUpdatePanelClick(e, mainPanel));
+    const { blockName, oldText, newText } = pendingStateUpdate;
+    panel.innerHTML = `
+        <div class="prompt-sub-panel-header">
+            <button class="menu_button prompt-sub-panel-back"><i class="fa-solid fa-arrow-left"></i> 返回编辑</button>
+            <span>模型对区块 "${escapeHtml(blockName)}" 的更新建议${oldText ? '' : ' (区块尚不存在，批准后创建)'}</span>
+        </div>
+        <div class="prompt-history-detail-header">
+            <span class="prompt-diff-legend"><span class="prompt-diff-remove">- 当前</span> <span class="prompt-diff-add">+ 建议</span></span>
+            <span class="prompt-state-update-actions">
+                <button class="menu_button" data-action="reject">拒绝</button>
+                <button class="menu_button" data-action="regenerate">重新生成</button>
+                <button class="menu_button primary_button" data-action="approve">批准并保存</button>
+            </span>
+        </div>
+        <div class="prompt-diff"></div>
+    `;
+    appendLineDiff(panel.querySelector('.prompt-diff'), computeLineDiff(oldText, newText));
+}
+
+async function handleStateUpdatePanelClick(event, mainPanel) {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+    if (!action || !pendingStateUpdate) return;
+
+    if (action === 'reject') {
+        pendingStateUpdate = null;
+        closeSubPanels(mainPanel);
+        toastr.info('已拒绝更新建议。');
+    } else if (action === 'regenerate') {
+        pendingStateUpdate = null;
+        closeSubPanels(mainPanel);
+        await proposeStateUpdate();
+    } else if (action === 'approve') {
+        // Unsaved edits in the editor would overwrite the update, or be lost with it
+        if (!await confirmLeaveEditor()) return;
+        const { chatId, blockName, newText } = pendingStateUpdate;
+        if (getContext().chatId !== chatId) {
+            toastr.warning('这条更新建议属于另一个聊天，已丢弃。');
+            pendingStateUpdate = null;
+            closeSubPanels(mainPanel);
+            return;
+        }
+        const saved = updateActiveChatEntry(entry => {
+            findEntryBlock(entry, blockName, true).content = newText;
+            appendRevision(entry);
+        });
+        if (!saved) return;
+        pendingStateUpdate = null;
+        toastr.success(`已更新 "${blockName}"。`);
+        await renderPromptView();
+        renderChatListPanel();
+    }
+}
+
+// =================================================================
+//                      QUICK ACCESS
+// =================================================================
+
+/**
+ * Shows in the send form the state of the open chat's prompt stack, inherited
+ * defaults included: 'active' (something to inject, even while activation rules
+ * hold it back), 'paused' (switched off for this chat) or 'idle' (nothing to inject).
+ */
+function updatePromptStatusBadge() {
+    const badge = document.getElementById(STATUS_BADGE_ID);
+    if (!badge) return;
+
+    const context = getContext();
+    badge.classList.toggle('displayNone', !context.chatId);
+    const isPaused = context.chatMetadata?.[METADATA_KEY]?.enabled === false;
+    // The stack is empty while paused; injectedPromptBlocks leaves out what the rules held back
+    const hasContent = resolveEffectivePromptStack(context).some(({ entry }) => getInjectedBlockTexts(entry).length > 0);
+    const state = isPaused ? 'paused' : hasContent ? 'active' : 'idle';
+    const injectedCount = injectedPromptBlocks.length;
+    badge.dataset.state = state;
+    badge.title = {
+        active: injectedCount > 0
+            ? `自定义提示词生效中 (${injectedCount} 个区块)。点击暂停，右键快速编辑`
+            : '自定义提示词已启用，但激活条件当前未满足，未注入。点击暂停，右键快速编辑',
+        paused: '本聊天的自定义提示词已暂停。点击恢复，右键快速编辑',
+        idle: '当前聊天没有生效的自定义提示词。点击快速编辑',
+    }[state];
+}
+
+/**
+ * Pauses or resumes the open chat's prompt. The text is kept either way.
+ */
+function handleStatusBadgeClick() {
+    if (document.getElementById(STATUS_BADGE_ID)?.dataset.state === 'idle') {
+        openQuickEdit();
+        return;
+    }
+    let isEnabled = false;
+    const saved = updateActiveChatEntry(entry => {
+        entry.enabled = !entry.enabled;
+        isEnabled = entry.enabled;
+    });
+    if (saved) {
+        toastr.info(isEnabled ? '已恢复本聊天的自定义提示词。' : '已暂停本聊天的自定义提示词，文本已保留。');
+    }
+}
+
+/**
+ * Describes a key press the way shortcuts are stored, e.g. 'Ctrl+Shift+P'.
+ * Returns an empty string for a lone modifier key.
+ */
+function formatShortcut(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return '';
+    // The code is independent of the layout and of characters produced by Alt
+    let key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+    else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5);
+    return [event.ctrlKey && 'Ctrl', event.altKey && 'Alt', event.shiftKey && 'Shift', event.metaKey && 'Meta', key].filter(Boolean).join('+');
+}
+
+async function handleShortcutKeydown(event) {
+    const shortcut = getPluginSettings().shortcut;
+    if (!shortcut || event.repeat || formatShortcut(event) !== shortcut) return;
+    // The settings field records the shortcut instead
+    if (event.target?.id === 'custom-prompt-shortcut') return;
+    event.preventDefault();
+
+    closeQuickEdit();
+    if (!isPromptModalOpen()) {
+        await openPromptModal();
+    } else if (!isViewingActiveChat()) {
+        if (!await confirmLeaveEditor()) return;
+        await renderPromptView();
+    }
+    document.getElementById('custom-prompt-textarea')?.focus();
+}
+
+/**
+ * Opens a small editor above the status badge for the blocks of the open chat's prompt.
+ */
+function openQuickEdit() {
+    closeQuickEdit();
+    const context = getContext();
+    if (!context.chatId) {
+        toastr.warning('没有打开的聊天。');
+        return;
+    }
+
+    const entry = normalizePromptEntry(context.chatMetadata[METADATA_KEY]);
+    if (entry.blocks.length === 0) entry.blocks.push(createPromptBlock('默认'));
+    let blockIndex = 0;
+
+    const popover = document.createElement('div');
+    popover.id = QUICK_EDIT_ID;
+    popover.innerHTML = `
+        <div class="prompt-quick-edit-header">
+            <span>快速编辑本聊天的提示词</span>
+            <i class="fa-solid fa-xmark prompt-quick-edit-close" data-action="close" title="关闭"></i>
+        </div>
+        ${entry.blocks.length > 1 ? `<select class="text_pole prompt-quick-edit-block">
+            ${entry.blocks.map((block, index) => `<option value="${index}">${escapeHtml(block.name || '(未命名)')}${block.enabled ? '' : ' (停用)'}</option>`).join('')}
+        </select>` : ''}
+        <textarea class="text_pole prompt-quick-edit-text" rows="6" placeholder="支持 {{char}}、{{user}} 等宏"></textarea>
+        <label class="checkbox_label">
+            <input class="prompt-quick-edit-enabled" type="checkbox" ${entry.enabled ? 'checked' : ''}>
+            <span>在本聊天启用提示词注入</span>
+        </label>
+        <div class="prompt-quick-edit-actions">
+            <button class="menu_button" data-action="full">完整编辑器</button>
+            <button class="menu_button primary_button" data-action="save" title="Ctrl+Enter">保存</button>
+        </div>
+    `;
+    document.body.append(popover);
+
+    const textarea = popover.querySelector('.prompt-quick-edit-text');
+    textarea.value = entry.blocks[0].content;
+    popover.querySelector('.prompt-quick-edit-block')?.addEventListener('change', (e) => {
+        entry.blocks[blockIndex].content = textarea.value;
+        blockIndex = Number(e.target.value);
+        textarea.value = entry.blocks[blockIndex].content;
+    });
+
+    const save = () => {
+        entry.blocks[blockIndex].content = textarea.value;
+        const isEnabled = popover.querySelector('.prompt-quick-edit-enabled').checked;
+        // Apply the edits to the stored entry, which may have changed while the popover was open
+        const saved = updateActiveChatEntry(target => {
+            for (const editedBlock of entry.blocks) {
+                const block = target.blocks.find(b => b.id === editedBlock.id);
+                if (block) block.content = editedBlock.content;
+                else if (editedBlock.content.trim() !== '') target.blocks.push(editedBlock);
+            }
+            target.enabled = isEnabled;
+            appendRevision(target);
+        });
+        if (saved) {
+            toastr.success('提示词已保存。');
+            closeQuickEdit();
+        }
+    };
+    popover.addEventListener('click', async (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'close') {
+            closeQuickEdit();
+        } else if (action === 'save') {
+            save();
+        } else if (action === 'full') {
+            closeQuickEdit();
+            await openPromptModal();
+        }
+    });
+    popover.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeQuickEdit();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            save();
+        }
+    });
+
+    // Above the badge, kept inside the window
+    const badgeRect = document.getElementById(STATUS_BADGE_ID)?.getBoundingClientRect();
+    if (badgeRect) {
+        popover.style.left = `${Math.max(10, Math.min(badgeRect.left, window.innerWidth - popover.offsetWidth - 10))}px`;
+        popover.style.bottom = `${window.innerHeight - badgeRect.top + 8}px`;
+    }
+    document.addEventListener('mousedown', handleQuickEditOutsideClick);
+    textarea.focus();
+}
+
+function closeQuickEdit() {
+    document.getElementById(QUICK_EDIT_ID)?.remove();
+    document.removeEventListener('mousedown', handleQuickEditOutsideClick);
+}
+
+function handleQuickEditOutsideClick(event) {
+    if (!event.target.closest(`#${QUICK_EDIT_ID}, #${STATUS_BADGE_ID}`)) {
+        closeQuickEdit();
+    }
+}
+
+// =================================================================
+//                      SLASH COMMANDS
+// =================================================================
+
+const ROLE_NAMES = {
+    system: extension_prompt_roles.SYSTEM,
+    user: extension_prompt_roles.USER,
+    assistant: extension_prompt_roles.ASSISTANT,
+};
+
+/**
+ * Finds a block of an entry by name (case-insensitive). Without a name the first block is used.
+ * @param {ReturnType<typeof normalizePromptEntry>} entry
+ * @param {string} [blockName]
+ * @param {boolean} [create] Create the block when it does not exist yet.
+ */
+function findEntryBlock(entry, blockName, create = false) {
+    const name = String(blockName || '').trim();
+    let block = name
+        ? entry.blocks.find(b => b.name.trim().toLowerCase() === name.toLowerCase())
+        : entry.blocks[0];
+    if (!block && create) {
+        block = createPromptBlock(name || '默认');
+        entry.blocks.push(block);
+    }
+    return block || null;
+}
+
+/**
+ * Applies a change to the active chat's prompt entry, saves the chat metadata
+ * and re-applies the injection so the change is live for the next generation.
+ * @param {(entry: ReturnType<typeof normalizePromptEntry>) => boolean|void} mutator Returning false cancels the change.
+ * @returns {boolean} Whether the change was saved.
+ */
+function updateActiveChatEntry(mutator) {
+    const context = getContext();
+    if (!context.chatId) {
+        toastr.warning('没有打开的聊天。');
+        return false;
+    }
+    const entry = normalizePromptEntry(context.chatMetadata[METADATA_KEY]);
+    if (mutator(entry) === false) return false;
+    context.updateChatMetadata({ [METADATA_KEY]: entry });
+    saveMetadataDebounced();
+    applyOrClearCustomPrompt();
+
+    // Keep an open modal's cache of the active chat in sync
+    const currentContextChatIdNoExt = String(context.chatId).replace('.jsonl', '');
+    const cachedChat = allChatsPromptData.find(c => c.fileName === currentContextChatIdNoExt);
+    if (cachedChat) {
+        cachedChat.metadata = context.chatMetadata;
+    }
+    return true;
+}
+
+function registerSlashCommands() {
+    const blockArgument = () => SlashCommandNamedArgument.fromProps({
+        name: 'block',
+        description: '区块名称，省略时使用第一个区块',
+        typeList: [ARGUMENT_TYPE.STRING],
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-get',
+        callback: (args) => {
+            const entry = normalizePromptEntry(getContext().chatMetadata?.[METADATA_KEY]);
+            if (args.block) {
+                return findEntryBlock(entry, args.block)?.content || '';
+            }
+            return entry.blocks.filter(block => block.enabled).map(block => block.content).join('\n\n');
+        },
+        returns: '当前聊天的自定义提示词',
+        namedArgumentList: [blockArgument()],
+        helpString: '返回当前聊天的自定义提示词 (所有已启用区块)，或指定区块的文本。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-set',
+        callback: (args, value) => {
+            updateActiveChatEntry(entry => {
+                findEntryBlock(entry, args.block, true).content = String(value ?? '');
+            });
+            return '';
+        },
+        namedArgumentList: [blockArgument()],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '提示词文本',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: '替换当前聊天自定义提示词的文本。指定的区块不存在时会被创建。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-append',
+        callback: (args, value) => {
+            const separator = args.separator ?? '\n';
+            updateActiveChatEntry(entry => {
+                const block = findEntryBlock(entry, args.block, true);
+                block.content = block.content ? `${block.content}${separator}${value ?? ''}` : String(value ?? '');
+            });
+            return '';
+        },
+        namedArgumentList: [
+            blockArgument(),
+            SlashCommandNamedArgument.fromProps({
+                name: 'separator',
+                description: '插入在原文本与新文本之间的分隔符，默认为换行',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '要追加的文本',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: '在当前聊天自定义提示词的末尾追加文本。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-clear',
+        callback: (args) => {
+            updateActiveChatEntry(entry => {
+                if (!args.block) {
+                    entry.blocks = [];
+                    return;
+                }
+                const target = findEntryBlock(entry, args.block);
+                if (!target) {
+                    toastr.warning(`找不到区块 "${args.block}"。`);
+                    return false;
+                }
+                entry.blocks = entry.blocks.filter(block => block !== target);
+            });
+            return '';
+        },
+        namedArgumentList: [blockArgument()],
+        helpString: '清空当前聊天的自定义提示词。指定区块时只删除该区块。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-toggle',
+        callback: (args, value) => {
+            const state = String(value || 'toggle').trim().toLowerCase();
+            if (!['on', 'off', 'toggle'].includes(state)) {
+                toastr.warning(`无效的状态: ${value}`);
+                return '';
+            }
+            let isEnabled = false;
+            updateActiveChatEntry(entry => {
+                const target = args.block ? findEntryBlock(entry, args.block) : entry;
+                if (!target) {
+                    toastr.warning(`找不到区块 "${args.block}"。`);
+                    return false;
+                }
+                target.enabled = state === 'toggle' ? !target.enabled : state === 'on';
+                isEnabled = target.enabled;
+            });
+            return String(isEnabled);
+        },
+        returns: '切换后的状态 (true/false)',
+        namedArgumentList: [blockArgument()],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '目标状态',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: ['on', 'off', 'toggle'],
+                defaultValue: 'toggle',
+            }),
+        ],
+        helpString: '启用或停用当前聊天的提示词注入 (文本会保留)。指定区块时只切换该区块。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-depth',
+        callback: (_, value) => {
+            const depth = Number(value);
+            if (!Number.isInteger(depth) || depth < 0) {
+                toastr.warning(`无效的注入深度: ${value}`);
+                return '';
+            }
+            updateActiveChatEntry(entry => {
+                entry.depth = depth;
+            });
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '注入深度 (非负整数)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: true,
+            }),
+        ],
+        helpString: '设置当前聊天提示词的注入深度 (仅对“聊天记录中”位置生效)。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-role',
+        callback: (_, value) => {
+            const role = ROLE_NAMES[String(value || '').trim().toLowerCase()];
+            if (role === undefined) {
+                toastr.warning(`无效的注入角色: ${value}`);
+                return '';
+            }
+            updateActiveChatEntry(entry => {
+                entry.role = role;
+            });
+            return '';
+        },
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '注入角色',
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(ROLE_NAMES),
+                isRequired: true,
+            }),
+        ],
+        helpString: '设置当前聊天提示词的注入角色 (仅对“聊天记录中”位置生效)。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'cp-update-state',
+        callback: async () => {
+            await proposeStateUpdate();
+            return '';
+        },
+        helpString: '让模型根据最近的消息更新当前聊天提示词的状态区块。更新建议会在编辑器中显示，批准后才会保存。',
+    }));
+}
 
 // =================================================================
 //                      PLUGIN INITIALIZATION
@@ -576,15 +4753,57 @@ jQuery(async () => {
         </div>`;
         $('#extensions_buttons').append(inputButtonHtml);
         $('#custom_prompt_button').on('click', openPromptModal);
+
+        // Status badge in the send form: click pauses/resumes, right click opens the quick editor
+        $('#leftSendForm').append(`<div id="${STATUS_BADGE_ID}" class="fa-solid fa-scroll interactable displayNone" tabindex="0"></div>`);
+        $(`#${STATUS_BADGE_ID}`).on('click', handleStatusBadgeClick).on('contextmenu', (e) => {
+            e.preventDefault();
+            openQuickEdit();
+        });
+        document.addEventListener('keydown', handleShortcutKeydown);
         
         // Listen for chat changes to apply the correct prompt
         eventSource.on(event_types.CHAT_CHANGED, () => {
             // Apply the prompt for the newly loaded chat
             applyOrClearCustomPrompt();
+            renderAllMessageSnapshotIndicators();
+            // A branch or checkpoint is only recognizable once it is loaded. The origin is
+            // detected before the first await, so the chat is tracked after that; the
+            // carry-over is not awaited, as it may wait on a popup and the host awaits listeners
+            void applyCarryOver();
+            trackActiveChat();
+        });
+        eventSource.on(event_types.CHAT_CREATED, () => { void applyCarryOver(true); });
+        eventSource.on(event_types.GROUP_CHAT_CREATED, () => { void applyCarryOver(true); });
+
+        registerSlashCommands();
+
+        eventSource.on(event_types.GENERATION_STARTED, handleGenerationStarted);
+        eventSource.on(event_types.MESSAGE_SENT, handleMessageSent);
+        // In group chats this fires before each member's generation
+        eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (characterId) => {
+            draftedMemberAvatar = getContext().characters[characterId]?.avatar ?? null;
+        });
+        eventSource.on(event_types.GENERATION_ENDED, () => {
+            isGenerationRunning = false;
+            draftedMemberAvatar = null;
+            generationSnapshot = null;
+            checkStateUpdateInterval();
         });
+        eventSource.on(event_types.GENERATION_STOPPED, () => {
+            isGenerationRunning = false;
+            generationSnapshot = null;
+        });
+
+        // Record which prompt each reply was generated with and mark those messages
+        eventSource.on(event_types.MESSAGE_RECEIVED, recordMessageSnapshot);
+        eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderMessageSnapshotIndicator);
+        eventSource.on(event_types.MESSAGE_SWIPED, renderMessageSnapshotIndicator);
+        eventSource.on(event_types.MORE_MESSAGES_LOADED, renderAllMessageSnapshotIndicators);
 
         // Initial application of the prompt for the currently open chat
         applyOrClearCustomPrompt();
+        trackActiveChat();
 
         console.log(`[${pluginName}] Plugin loaded successfully.`);
     } catch (error) {